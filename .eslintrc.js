@@ -15,4 +15,11 @@ module.exports = {
     'linebreak-style': ['error', 'unix'],
     'no-param-reassign': ['error', { props: false }],
   },
+  overrides: [{
+    // Benchmarks (vitest bench) use dev dependencies, like tests
+    files: ['**/*.bench.js'],
+    rules: {
+      'import/no-extraneous-dependencies': ['error', { devDependencies: true }],
+    },
+  }],
 };
@@ -0,0 +1,105 @@
+import {
+  html, unsafeHTML, defineComponent, createComponent,
+  parsePanels, panelIndexForHash, loadPanelBlocks, scrollToHash,
+} from '../../scripts/lib/index.js';
+
+// Landmark regions only help while there are few of them
+const MAX_REGIONS = 6;
+
+defineComponent('accordion', {
+  morph: true,
+
+  defaultState: {
+    open: [],
+  },
+
+  setup(c) {
+    c.panels = parsePanels(c.el);
+    c.multiple = c.props.multiple ?? c.el.classList.contains('multiple');
+
+    const linked = panelIndexForHash(c.panels);
+    if (linked !== -1) c.setState({ open: [c.panels[linked].id] });
+
+    // Expand or collapse a panel (others collapse unless several may be open)
+    c.toggle = (id, expand = !c.state.open.includes(id)) => {
+      c.setState(({ open }) => {
+        if (!expand) return { open: open.filter((openId) => openId !== id) };
+        return { open: c.multiple ? [...new Set([...open, id])] : [id] };
+      });
+    };
+  },
+
+  mounted(c) {
+    c.on('click', '.accordion-trigger', (e, el) => c.toggle(el.dataset.id));
+
+    // Up/Down move between headers (wrapping), Home/End jump; Enter/Space are native
+    c.on('keydown', '.accordion-trigger', (e, el) => {
+      const triggers = c.$$('.accordion-trigger');
+      const index = triggers.indexOf(el);
+      const last = triggers.length - 1;
+      const next = {
+        ArrowDown: index === last ? 0 : index + 1,
+        ArrowUp: index === 0 ? last : index - 1,
+        Home: 0,
+        End: last,
+      }[e.key];
+      if (next === undefined) return;
+      e.preventDefault();
+      triggers[next].focus();
+    });
+
+    // Nested blocks load when their panel is first expanded
+    const loadOpen = () => c.state.open.forEach((id) => {
+      const body = c.$(`#${CSS.escape(id)} .accordion-panel-body`);
+      if (body) loadPanelBlocks(body);
+    });
+    c.onRender(loadOpen);
+    loadOpen();
+
+    const onHashChange = () => {
+      const index = panelIndexForHash(c.panels);
+      if (index === -1) return;
+      c.toggle(c.panels[index].id, true);
+      c.nextRender().then(scrollToHash);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    c.onDestroy(() => window.removeEventListener('hashchange', onHashChange));
+  },
+
+  render(c) {
+    const { open } = c.state;
+    const tag = `h${c.props.headingLevel || 3}`;
+    const region = c.panels.length <= MAX_REGIONS ? 'region' : null;
+
+    return html`${c.panels.map((panel) => {
+      const expanded = open.includes(panel.id);
+      return html`<div class="${expanded ? 'accordion-item is-open' : 'accordion-item'}" data-key="${panel.id}">
+        <${tag} class="accordion-heading">
+          <button
+            type="button"
+            class="accordion-trigger"
+            id="${panel.id}-trigger"
+            aria-expanded="${String(expanded)}"
+            aria-controls="${panel.id}"
+            data-id="${panel.id}"
+          >
+            <span class="accordion-label">${panel.label}</span>
+            <span class="accordion-icon" aria-hidden="true"></span>
+          </button>
+        </${tag}>
+        <div
+          class="accordion-panel"
+          id="${panel.id}"
+          aria-labelledby="${panel.id}-trigger"
+          ${{ role: region, hidden: !expanded }}
+        >
+          <div class="accordion-panel-body" data-morph-ignore>${unsafeHTML(panel.content)}</div>
+        </div>
+      </div>`;
+    })}`;
+  },
+});
+
+export default function decorate(block) {
+  createComponent('accordion', block);
+}
@@ -1,5 +1,5 @@
 import {
-  h3, text, buttonLink, card, stack,
+  h3, text, buttonLink, card, stack, html, unsafeHTML, setHTML,
 } from '../../scripts/lib/index.js';
 
 /**
@@ -22,15 +22,15 @@ export default function decorate(block) {
     };
   });
 
-  block.innerHTML = `
+  setHTML(block, html`
     <div class="cards-grid">
       ${cards
     .map(
       (c) => card(
-        `
-            ${c.picture ? `<div class="card-image">${c.picture.outerHTML}</div>` : ''}
+        html`
+            ${c.picture ? html`<div class="card-image">${unsafeHTML(c.picture.outerHTML)}</div>` : ''}
             ${stack(
-    `
+    html`
               ${c.heading ? h3(c.heading, { className: 'card-title' }) : ''}
               ${c.body ? text(c.body, { className: 'card-body' }) : ''}
               ${c.link ? buttonLink(c.link.textContent, c.link.href, { variant: 'outline', size: 'sm' }) : ''}
@@ -40,8 +40,7 @@ export default function decorate(block) {
           `,
         { padding: 'none', className: 'cards-card' },
       ),
-    )
-    .join('')}
+    )}
     </div>
-  `;
+  `);
 }
@@ -6,9 +6,8 @@ export default function decorate(block) {
   badge.setAttribute('aria-live', 'polite');
   block.appendChild(badge);
 
-  // Subscribe to cart - auto-updates across tabs
-  colorCart.subscribe((state) => {
-    const count = state.colors.length;
+  // Only the count matters here - auto-updates across tabs
+  colorCart.select((state) => state.colors.length, (count) => {
     badge.textContent = count || '';
     badge.hidden = count === 0;
     badge.setAttribute('aria-label', `${count} colors saved`);
@@ -1,13 +1,23 @@
 import {
-  h2, text, button, buttonLink, colorSwatch, card, stack, cluster,
-  defineComponent, createComponent,
+  h2, text, button, buttonLink, colorSwatch, card, stack, cluster, html,
+  toast, shallowEqual, defineComponent, createComponent,
 } from '../../scripts/lib/index.js';
 import colorCart from '../../scripts/stores/color-cart.js';
 
 defineComponent('color-picker', {
+  morph: true,
+  urlState: ['filter'],
+
   defaultState: {
     filter: null,
-    notification: null,
+  },
+
+  computed: {
+    filtered: (c) => {
+      const { filter } = c.state;
+      return filter ? c.colors.filter((x) => x.family === filter) : c.colors;
+    },
+    savedHexes: () => new Set(colorCart.colors.map((x) => x.hex)),
   },
 
   setup(c) {
@@ -36,18 +46,25 @@ defineComponent('color-picker', {
       });
 
       if (result.success) {
-        c.setState({ notification: { type: 'success', message: `${el.dataset.name} added to palette` } });
+        const { hex, name } = el.dataset;
+        c.emit('color:added', { hex, name });
+        toast.success(`${name} added to palette`, {
+          action: {
+            label: 'Undo',
+            onClick: () => {
+              const saved = colorCart.colors.find((color) => color.hex === hex);
+              if (saved) colorCart.removeColor(saved.id);
+            },
+          },
+        });
         // Micro-animation
         el.animate([{ transform: 'scale(1)' }, { transform: 'scale(1.1)' }, { transform: 'scale(1)' }], {
           duration: 300,
           easing: 'ease-out',
         });
       } else {
-        const msg = result.reason === 'duplicate' ? 'Color already saved' : 'Palette full (max 20)';
-        c.setState({ notification: { type: 'warning', message: msg } });
+        toast.warning(result.reason === 'duplicate' ? 'Color already saved' : 'Palette full (max 20)');
       }
-
-      setTimeout(() => c.setState({ notification: null }), 3000);
     });
 
     // Handle filter buttons
@@ -55,17 +72,30 @@ defineComponent('color-picker', {
       c.setState({ filter: el.dataset.family || null });
     });
 
-    // Re-render when cart changes
-    c.subscribe(colorCart, () => c.render());
+    // One tab stop for the grid; arrows, Home/End, PageUp/PageDown and type-ahead inside it
+    c.rovingFocus('.color-picker-grid', '.swatch-interactive');
+
+    // Re-render only when the set of saved colors changes
+    c.subscribe(
+      colorCart,
+      (state) => state.colors.map((color) => color.hex),
+      () => c.update(),
+      { equals: shallowEqual },
+    );
   },
 
+  fallback: () => card(
+    text('Colors are unavailable right now. Please refresh the page.', { variant: 'caption' }),
+    { padding: 'lg' },
+  ),
+
   render(c) {
-    const { filter, notification } = c.state;
-    const filtered = filter ? c.colors.filter((x) => x.family === filter) : c.colors;
+    const { filter } = c.state;
+    const { filtered, savedHexes } = c.computed;
 
     return card(
       stack(
-        `
+        html`
         ${h2('Choose Your Colors')}
         ${text('Click any color to save it to your palette', { variant: 'caption' })}
 
@@ -83,24 +113,22 @@ defineComponent('color-picker', {
         className: 'filter-btn',
         'data-family': f,
       })),
-    ].join(''),
+    ],
     { gap: 'sm', className: 'color-picker-filters' },
   )}
 
-        ${notification ? `<div class="notification notification-${notification.type}">${notification.message}</div>` : ''}
-
-        <div class="color-picker-grid">
+        <div class="color-picker-grid" role="group" aria-label="Colors">
           ${filtered
     .map((color) => colorSwatch(color, {
+      key: color.hex,
       interactive: true,
-      selected: colorCart.hasColor(color.hex),
+      selected: savedHexes.has(color.hex),
       showCode: true,
-    }))
-    .join('')}
+    }))}
         </div>
 
         ${cluster(
-    `
+    html`
           <span class="color-picker-count">${colorCart.count} colors saved</span>
           ${buttonLink('View Palette', '/palette', { variant: 'secondary' })}
         `,
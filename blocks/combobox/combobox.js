@@ -0,0 +1,228 @@
+import {
+  combobox, debounce, uid, defineComponent, createComponent,
+} from '../../scripts/lib/index.js';
+import { readBlockConfig } from '../../scripts/aem.js';
+
+// Enough to pick from; type more to narrow the rest
+const LIMIT = 50;
+
+/**
+ * Normalize a string or object (including spreadsheet rows) to { value, label }
+ */
+const toOption = (item) => {
+  if (typeof item !== 'object') return { value: String(item), label: String(item) };
+  const value = item.value ?? item.Value ?? item.label ?? item.Label;
+  return { ...item, value: String(value), label: String(item.label ?? item.Label ?? value) };
+};
+
+/**
+ * Options whose label or value contains the query, prefix matches first
+ */
+const filterOptions = (options, query) => {
+  const term = query.trim().toLowerCase();
+  const matches = options.filter(({ value, label }) => (
+    label.toLowerCase().includes(term) || value.toLowerCase().includes(term)
+  ));
+  const prefixed = (option) => (option.label.toLowerCase().startsWith(term) ? 0 : 1);
+  return matches.sort((a, b) => prefixed(a) - prefixed(b));
+};
+
+defineComponent('combobox', {
+  morph: true,
+
+  defaultState: {
+    query: '',
+    open: false,
+    active: -1,
+    selected: [],
+  },
+
+  // Options for the current query: props.search(query, { signal }) for server-side
+  // search, else props.options or the JSON sheet at props.src filtered here
+  async load(c, { signal }) {
+    const { query } = c.state;
+    if (query.trim().length < (c.props.minLength ?? 1)) return [];
+    if (c.props.search) {
+      const results = await c.props.search(query, { signal });
+      return results.map(toOption).slice(0, c.props.limit || LIMIT);
+    }
+    if (!c.options) {
+      const resp = await fetch(c.props.src, { signal });
+      if (!resp.ok) throw new Error(`combobox options ${c.props.src}: ${resp.status}`);
+      c.options = ((await resp.json()).data || []).map(toOption);
+    }
+    return filterOptions(c.options, query).slice(0, c.props.limit || LIMIT);
+  },
+
+  setup(c) {
+    c.comboId = c.props.id || uid('combobox');
+    if (c.props.options) c.options = c.props.options.map(toOption);
+
+    // Initial selection from props.value (a value, or an array when multiple)
+    if (c.props.value != null && c.options) {
+      const values = [].concat(c.props.value).map(String);
+      const selected = c.options.filter((option) => values.includes(option.value));
+      c.setState({
+        selected,
+        query: c.props.multiple ? '' : selected[0]?.label || '',
+      });
+    }
+
+    // The previous results stay listed while the next query loads
+    const options = () => (c.status === 'error' ? [] : c.data || []);
+    const search = debounce(() => c.reload(), c.props.delay ?? (c.props.options ? 0 : 200));
+    c.onDestroy(search.cancel);
+
+    c.value = () => {
+      const values = c.state.selected.map((option) => option.value);
+      return c.props.multiple ? values : values[0] ?? '';
+    };
+
+    const change = (selected, query) => {
+      c.setState({
+        selected, query, open: false, active: -1,
+      });
+      c.emit('combobox:change', { value: c.value(), selected });
+    };
+
+    // Choose an option: replaces the selection, or toggles it when multiple
+    c.select = (option) => {
+      if (!c.props.multiple) {
+        change([option], option.label);
+        return;
+      }
+      const { selected } = c.state;
+      const chosen = selected.some((item) => item.value === option.value);
+      change(chosen
+        ? selected.filter((item) => item.value !== option.value)
+        : [...selected, option], '');
+    };
+
+    c.remove = (value) => {
+      change(c.state.selected.filter((option) => option.value !== value), c.state.query);
+    };
+
+    c.search = (query) => {
+      // Editing the text of a single selection un-chooses it
+      const { selected } = c.state;
+      const keep = c.props.multiple || !selected.length || selected[0].label === query;
+      c.setState({
+        query, open: true, active: -1, selected: keep ? selected : [],
+      });
+      if (!keep) c.emit('combobox:change', { value: c.value(), selected: [] });
+      search();
+    };
+
+    // Move the active option by `step`, wrapping; opens the list first if closed
+    c.move = (step) => {
+      const count = options().length;
+      if (!c.state.open) {
+        const first = step > 0 ? 0 : count - 1;
+        c.setState({ open: true, active: count ? first : -1 });
+        return;
+      }
+      if (!count) return;
+      const { active } = c.state;
+      const from = active === -1 && step < 0 ? count : active;
+      c.setState({ active: (from + step + count) % count });
+    };
+
+    c.close = () => c.setState({ open: false, active: -1 });
+
+    c.results = options;
+    c.activeOption = () => options()[c.state.active];
+  },
+
+  mounted(c) {
+    c.on('input', '.combobox-input', (e, el) => c.search(el.value));
+
+    c.on('keydown', '.combobox-input', (e, el) => {
+      const { open, query, selected } = c.state;
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          if (e.altKey) c.setState({ open: true });
+          else c.move(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          if (e.altKey) c.close();
+          else c.move(-1);
+          break;
+        case 'Enter':
+          if (!open || !c.activeOption()) return;
+          e.preventDefault();
+          c.select(c.activeOption());
+          break;
+        case 'Escape':
+          // First Esc closes the list, the next clears the text
+          if (open) c.close();
+          else if (query) {
+            c.search('');
+            c.close();
+          }
+          break;
+        case 'Backspace':
+          if (c.props.multiple && !el.value && selected.length) {
+            c.remove(selected[selected.length - 1].value);
+          }
+          break;
+        default:
+      }
+    });
+
+    // Keep focus in the input while an option is clicked
+    c.on('mousedown', '.combobox-option', (e) => e.preventDefault());
+    c.on('click', '.combobox-option', (e, el) => {
+      c.select(c.results()[Number(el.dataset.index)]);
+    });
+
+    c.on('click', '.combobox-chip-remove', (e, el) => {
+      c.remove(el.dataset.value);
+      c.$('.combobox-input').focus();
+    });
+
+    c.on('focusout', '.combobox-field', (e) => {
+      if (!c.el.contains(e.relatedTarget)) c.close();
+    });
+
+    c.onRender(() => c.$('.combobox-option.is-active')?.scrollIntoView?.({ block: 'nearest' }));
+  },
+
+  render(c) {
+    const {
+      query, open, active, selected,
+    } = c.state;
+    return combobox(c.props.name, {
+      id: c.comboId,
+      label: c.props.label,
+      placeholder: c.props.placeholder,
+      required: c.props.required,
+      hint: c.props.hint,
+      error: c.status === 'error' ? 'Suggestions are unavailable right now' : c.props.error,
+      multiple: c.props.multiple,
+      query,
+      selected,
+      active,
+      options: c.results(),
+      busy: c.status === 'loading',
+      expanded: open && query.trim().length >= (c.props.minLength ?? 1),
+    });
+  },
+});
+
+/**
+ * Block rows: Label, Source (link to a JSON sheet of options with Value/Label columns),
+ * Placeholder and Name (all optional). A bare link to the sheet also works; the
+ * `multiple` variant allows several choices.
+ */
+export default function decorate(block) {
+  const config = readBlockConfig(block);
+  createComponent('combobox', block, {
+    label: config.label,
+    src: config.source || block.querySelector('a[href]')?.href,
+    placeholder: config.placeholder,
+    name: config.name,
+    multiple: block.classList.contains('multiple'),
+  });
+}
@@ -0,0 +1,184 @@
+import {
+  dialog, unsafeHTML, uid, events, defineComponent, createComponent,
+} from '../../scripts/lib/index.js';
+
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'summary',
+  'iframe',
+  '[contenteditable=""], [contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Open dialogs, topmost last - only the top one traps focus and handles Escape
+const openDialogs = [];
+
+/**
+ * Stop the page behind open dialogs from scrolling, keeping the scrollbar gutter
+ */
+function lockScroll() {
+  const root = document.documentElement;
+  root.style.setProperty('--scrollbar-compensation', `${window.innerWidth - root.clientWidth}px`);
+  root.classList.add('scroll-locked');
+}
+
+function unlockScroll() {
+  const root = document.documentElement;
+  root.classList.remove('scroll-locked');
+  root.style.removeProperty('--scrollbar-compensation');
+}
+
+const focusables = (el) => [...el.querySelectorAll(FOCUSABLE)]
+  .filter((node) => !node.closest('[hidden], [inert]'));
+
+/**
+ * Element to focus on open: [autofocus], else the first control in the body,
+ * else the first control (close button), else the dialog itself
+ */
+const initialFocus = (el) => el.querySelector('[autofocus]')
+  || focusables(el.querySelector('.dialog-body'))[0]
+  || focusables(el)[0]
+  || el;
+
+defineComponent('dialog', {
+  morph: true,
+
+  setup(c) {
+    c.dialogId = c.props.id || uid('dialog');
+    c.isOpen = false;
+    c.trigger = null;
+
+    // Authored content; its first heading names the dialog when there is no title
+    const heading = c.el.querySelector('h1, h2, h3, h4, h5, h6');
+    if (heading && !c.props.title) {
+      heading.id = heading.id || `${c.dialogId}-title`;
+      c.labelId = heading.id;
+    }
+    c.content = c.el.innerHTML;
+
+    c.open = (trigger = document.activeElement) => {
+      const el = c.$('dialog');
+      if (!el || c.isOpen) return;
+      c.isOpen = true;
+      c.trigger = trigger instanceof HTMLElement ? trigger : null;
+
+      if (typeof el.showModal === 'function') el.showModal();
+      else el.setAttribute('open', '');
+      if (!openDialogs.length) lockScroll();
+      openDialogs.push(c);
+
+      initialFocus(el).focus();
+      c.emit('dialog:open', { id: c.dialogId });
+    };
+
+    c.close = (returnValue = '') => {
+      const el = c.$('dialog');
+      if (!el || !c.isOpen) return;
+      c.isOpen = false;
+
+      if (typeof el.close === 'function') el.close(returnValue);
+      else {
+        el.removeAttribute('open');
+        el.returnValue = returnValue;
+      }
+      openDialogs.splice(openDialogs.indexOf(c), 1);
+      if (!openDialogs.length) unlockScroll();
+
+      if (c.trigger?.isConnected) c.trigger.focus();
+      c.trigger = null;
+      c.emit('dialog:close', { returnValue });
+    };
+
+    c.onDestroy(() => {
+      if (!c.isOpen) return;
+      openDialogs.splice(openDialogs.indexOf(c), 1);
+      if (!openDialogs.length) unlockScroll();
+    });
+  },
+
+  mounted(c) {
+    const dismissible = c.props.dismissible !== false;
+    const isTop = () => openDialogs[openDialogs.length - 1] === c;
+
+    // Triggers anywhere on the page: <button data-dialog-open="{id}">
+    c.onDestroy(events.on('click', `[data-dialog-open="${CSS.escape(c.dialogId)}"]`, (e, el) => {
+      e.preventDefault();
+      c.open(el);
+    }));
+
+    c.on('click', '[data-dialog-close]', () => c.close());
+
+    // Action buttons: the submitter's value becomes the returnValue
+    c.on('submit', 'form[method="dialog"]', (e) => {
+      e.preventDefault();
+      c.close(e.submitter?.value ?? '');
+    });
+
+    // Clicks on the ::backdrop target the <dialog> itself
+    c.on('click', 'dialog', (e, el) => {
+      if (dismissible && e.target === el) c.close();
+    });
+
+    c.on('keydown', 'dialog', (e, el) => {
+      if (!isTop()) return;
+      if (e.key === 'Escape') {
+        // Also suppresses the native cancel so the close always goes through c.close()
+        e.preventDefault();
+        e.stopPropagation();
+        if (dismissible) c.close();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const list = focusables(el);
+      const first = list[0];
+      const last = list[list.length - 1];
+      const active = document.activeElement;
+      if (!list.length) {
+        e.preventDefault();
+      } else if (e.shiftKey && (active === first || active === el)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    });
+
+    // Focus moved outside the top dialog (e.g. no native modal support) is pulled back
+    const onFocusIn = (e) => {
+      const el = c.$('dialog');
+      if (c.isOpen && isTop() && !el.contains(e.target)) initialFocus(el).focus();
+    };
+    document.addEventListener('focusin', onFocusIn);
+    c.onDestroy(() => document.removeEventListener('focusin', onFocusIn));
+
+    if (c.props.open) c.open(null);
+  },
+
+  render(c) {
+    const {
+      title, size, actions, dismissible, closeLabel, label,
+    } = c.props;
+    return dialog(unsafeHTML(c.content), {
+      id: c.dialogId,
+      title,
+      size,
+      actions,
+      dismissible,
+      closeLabel,
+      open: c.isOpen,
+      'aria-labelledby': title ? undefined : c.labelId,
+      'aria-label': title || c.labelId ? undefined : label,
+    });
+  },
+});
+
+export default function decorate(block) {
+  createComponent('dialog', block);
+}
@@ -0,0 +1,134 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import {
+  describe, it, expect, beforeAll, beforeEach, afterEach,
+} from 'vitest';
+import { createComponent, destroyComponents } from '../../scripts/lib/index.js';
+import './dialog.js';
+
+beforeAll(() => {
+  // jsdom has no CSS.escape; ids in these tests need no escaping
+  if (!window.CSS?.escape) window.CSS = { escape: (value) => value };
+});
+
+const key = (name, options = {}) => document.activeElement.dispatchEvent(new KeyboardEvent('keydown', {
+  key: name, bubbles: true, cancelable: true, ...options,
+}));
+
+const mount = (id) => {
+  const trigger = document.createElement('button');
+  trigger.type = 'button';
+  trigger.dataset.dialogOpen = id;
+  trigger.textContent = `Open ${id}`;
+
+  const host = document.createElement('div');
+  host.className = 'dialog block';
+  host.innerHTML = '<h2>Palette full</h2><p>Remove a color <a href="/palette">first</a>.</p>';
+  document.body.append(trigger, host);
+
+  const c = createComponent('dialog', host, {
+    id,
+    actions: [{ label: 'Cancel', value: 'cancel' }, { label: 'OK', value: 'ok' }],
+  });
+  const closes = [];
+  host.addEventListener('dialog:close', (e) => closes.push(e.detail.returnValue));
+  return {
+    c, trigger, closes, el: host.querySelector('dialog'),
+  };
+};
+
+const isLocked = () => document.documentElement.classList.contains('scroll-locked');
+
+describe.each([
+  ['with showModal()', true],
+  ['without showModal() (open attribute fallback)', false],
+])('dialog %s', (label, native) => {
+  const proto = window.HTMLDialogElement.prototype;
+
+  beforeEach(() => {
+    if (!native) return;
+    proto.showModal = function showModal() {
+      this.setAttribute('open', '');
+    };
+    proto.close = function close(returnValue = '') {
+      this.removeAttribute('open');
+      this.returnValue = returnValue;
+    };
+  });
+
+  afterEach(() => {
+    destroyComponents(document.body);
+    document.body.replaceChildren();
+    delete proto.showModal;
+    delete proto.close;
+  });
+
+  it('opens from its trigger, focuses the first control in the body and locks scroll', () => {
+    const { trigger, el } = mount('open-test');
+    trigger.focus();
+    trigger.click();
+    expect(el.hasAttribute('open')).toBe(true);
+    expect(document.activeElement).toBe(el.querySelector('.dialog-body a'));
+    expect(isLocked()).toBe(true);
+  });
+
+  it('wraps Tab and Shift+Tab inside the dialog', () => {
+    const { trigger, el } = mount('tab-test');
+    trigger.click();
+    const controls = [...el.querySelectorAll('a[href], button')];
+    const first = controls[0];
+    const last = controls[controls.length - 1];
+    expect(first.classList.contains('dialog-close')).toBe(true);
+    expect(last.value).toBe('ok');
+
+    last.focus();
+    key('Tab');
+    expect(document.activeElement).toBe(first);
+
+    key('Tab', { shiftKey: true });
+    expect(document.activeElement).toBe(last);
+  });
+
+  it('closes on Escape, returns focus to the trigger and unlocks scroll', () => {
+    const { trigger, el, closes } = mount('escape-test');
+    trigger.focus();
+    trigger.click();
+    key('Escape');
+    expect(el.hasAttribute('open')).toBe(false);
+    expect(document.activeElement).toBe(trigger);
+    expect(closes).toEqual(['']);
+    expect(isLocked()).toBe(false);
+  });
+
+  it('reports the submitter value as returnValue', () => {
+    const { trigger, el, closes } = mount('submit-test');
+    trigger.click();
+    const ok = el.querySelector('button[value="ok"]');
+    el.querySelector('form').dispatchEvent(new SubmitEvent('submit', {
+      bubbles: true, cancelable: true, submitter: ok,
+    }));
+    expect(closes).toEqual(['ok']);
+    expect(el.hasAttribute('open')).toBe(false);
+    expect(el.returnValue).toBe('ok');
+  });
+
+  it('closes only the top dialog on Escape and keeps scroll locked until the last closes', () => {
+    const lower = mount('lower-test');
+    const upper = mount('upper-test');
+    lower.trigger.click();
+    upper.c.open(lower.el.querySelector('.dialog-body a'));
+
+    key('Escape');
+    expect(upper.el.hasAttribute('open')).toBe(false);
+    expect(lower.el.hasAttribute('open')).toBe(true);
+    expect(document.activeElement).toBe(lower.el.querySelector('.dialog-body a'));
+    expect(isLocked()).toBe(true);
+
+    key('Escape');
+    expect(lower.el.hasAttribute('open')).toBe(false);
+    expect(isLocked()).toBe(false);
+    expect(document.activeElement).toBe(lower.trigger);
+  });
+});
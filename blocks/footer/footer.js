@@ -1,19 +1,19 @@
 import {
-  text, link, stack, cluster, container,
+  text, link, stack, cluster, container, html, sanitizeHTML, setHTML,
 } from '../../scripts/lib/index.js';
 
 function renderFallbackFooter() {
   const currentYear = new Date().getFullYear();
 
-  return `
+  return html`
     <div class="footer-content">
       ${container(
-    `
+    html`
         <div class="footer-grid">
           <div class="footer-column">
             <h4 class="footer-heading">Products</h4>
             ${stack(
-    `
+    html`
               ${link('Interior Paint', '/products/interior', { className: 'footer-link' })}
               ${link('Exterior Paint', '/products/exterior', { className: 'footer-link' })}
               ${link('Primers', '/products/primers', { className: 'footer-link' })}
@@ -25,7 +25,7 @@ function renderFallbackFooter() {
           <div class="footer-column">
             <h4 class="footer-heading">Resources</h4>
             ${stack(
-    `
+    html`
               ${link('Color Trends', '/resources/trends', { className: 'footer-link' })}
               ${link('How-To Guides', '/resources/guides', { className: 'footer-link' })}
               ${link('Project Calculator', '/resources/calculator', { className: 'footer-link' })}
@@ -37,7 +37,7 @@ function renderFallbackFooter() {
           <div class="footer-column">
             <h4 class="footer-heading">Company</h4>
             ${stack(
-    `
+    html`
               ${link('About Us', '/about', { className: 'footer-link' })}
               ${link('Careers', '/careers', { className: 'footer-link' })}
               ${link('Contact', '/contact', { className: 'footer-link' })}
@@ -49,7 +49,7 @@ function renderFallbackFooter() {
         </div>
         <div class="footer-legal">
           ${cluster(
-    `
+    html`
             ${text(`© ${currentYear} Behr Paint Company. All rights reserved.`, { variant: 'small' })}
             <div class="footer-legal-links">
               ${link('Privacy Policy', '/privacy', { className: 'footer-link' })}
@@ -77,14 +77,14 @@ export default async function decorate(block) {
 
   const resp = await fetch(`${footerPath}.plain.html`);
   if (!resp.ok) {
-    block.innerHTML = renderFallbackFooter();
+    setHTML(block, renderFallbackFooter());
     return;
   }
 
-  const html = await resp.text();
+  const markup = await resp.text();
   const footer = document.createElement('div');
   footer.className = 'footer-content';
-  footer.innerHTML = html;
+  setHTML(footer, sanitizeHTML(markup));
 
   // Process footer sections
   const sections = footer.querySelectorAll(':scope > div');
@@ -107,6 +107,6 @@ export default async function decorate(block) {
     }
   });
 
-  block.innerHTML = '';
+  block.replaceChildren();
   block.appendChild(footer);
 }
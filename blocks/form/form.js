@@ -0,0 +1,262 @@
+import {
+  input, select, textarea, checkbox, toggle, radioGroup, range, button, text, html, uid,
+  defineComponent, createComponent, validateValue, validateFields,
+} from '../../scripts/lib/index.js';
+import { readBlockConfig, toCamelCase } from '../../scripts/aem.js';
+
+const truthy = (value) => value === true || /^(x|true|yes|1)$/i.test(String(value ?? '').trim());
+const list = (value) => String(value ?? '').split(',').map((item) => item.trim()).filter(Boolean);
+
+// Starting value: single checkboxes hold true/false, sliders start at their minimum
+const initialValue = (type, { value, min }) => {
+  if (type === 'checkbox' || type === 'toggle') return truthy(value);
+  if (type === 'range' && (value == null || value === '')) return String(min ?? 0);
+  return value ?? '';
+};
+
+/**
+ * Field definition from a spreadsheet row (Name, Type, Label, Placeholder, Value, Options,
+ * Mandatory, Pattern, Min, Max, Min Length, Max Length, Hint, Message, Validate)
+ * or an equivalent object passed as props.fields
+ */
+function toField(row) {
+  const f = Object.fromEntries(Object.entries(row)
+    .map(([key, value]) => [toCamelCase(key), value]));
+  const type = String(f.type || 'text').toLowerCase();
+  return {
+    name: f.name,
+    type,
+    label: f.label,
+    placeholder: f.placeholder || undefined,
+    value: initialValue(type, f),
+    options: Array.isArray(f.options) ? f.options : list(f.options),
+    hint: f.hint || undefined,
+    rules: {
+      required: truthy(f.mandatory ?? f.required),
+      email: type === 'email',
+      pattern: f.pattern || null,
+      min: f.min ?? null,
+      max: f.max ?? null,
+      minLength: f.minLength || f.minlength || null,
+      maxLength: f.maxLength || f.maxlength || null,
+      validate: typeof f.validate === 'string' ? list(f.validate) : f.validate,
+      messages: f.message ? { required: f.message, validate: f.message } : {},
+    },
+  };
+}
+
+// Rows that are not fields
+const isField = (field) => field.name && field.type !== 'submit';
+
+/**
+ * Markup for one field through the form atoms
+ */
+function fieldTemplate(c, field) {
+  const {
+    name, type, label, placeholder, options, hint, rules,
+  } = field;
+  const common = {
+    id: `${c.formId}-${name}`,
+    label,
+    hint,
+    required: rules.required,
+    error: c.state.errors[name],
+    value: c.values[name],
+  };
+  const limits = {
+    min: rules.min ?? undefined,
+    max: rules.max ?? undefined,
+  };
+  switch (type) {
+    case 'select':
+      return select(name, options, { ...common, placeholder });
+    case 'radio':
+      return radioGroup(name, options, common);
+    case 'checkbox':
+      return checkbox(name, { ...common, value: undefined, checked: common.value });
+    case 'toggle':
+      return toggle(name, { ...common, value: undefined, checked: common.value });
+    case 'textarea':
+      return textarea(name, { ...common, placeholder, maxlength: rules.maxLength ?? undefined });
+    case 'range':
+      return range(name, { ...common, ...limits });
+    default:
+      return input(name, {
+        ...common,
+        type,
+        placeholder,
+        ...limits,
+        maxlength: rules.maxLength ?? undefined,
+      });
+  }
+}
+
+defineComponent('form', {
+  morph: true,
+
+  defaultState: {
+    errors: {},
+    summary: false,
+    status: 'idle',
+  },
+
+  // Field definitions: props.fields, else the spreadsheet at props.src
+  async load(c, { signal }) {
+    let rows = c.props.fields;
+    if (!rows) {
+      const resp = await fetch(c.props.src, { signal });
+      if (!resp.ok) throw new Error(`form definition ${c.props.src}: ${resp.status}`);
+      rows = (await resp.json()).data || [];
+    }
+    const fields = rows.map(toField);
+    c.values = Object.fromEntries(fields.filter(isField).map((field) => [field.name, field.value]));
+    return {
+      fields: fields.filter(isField),
+      submitLabel: fields.find((field) => field.type === 'submit')?.label,
+    };
+  },
+
+  setup(c) {
+    c.formId = c.props.id || uid('form');
+    c.values = {};
+    c.checks = {};
+
+    const fields = () => c.data?.fields || [];
+
+    // Validate one field; a newer check of the same field supersedes a pending async one
+    c.validateField = async (name) => {
+      const field = fields().find((item) => item.name === name);
+      if (!field) return;
+      const check = Symbol(name);
+      c.checks[name] = check;
+      const error = await validateValue(c.values[name], field.rules, c.values);
+      if (c.checks[name] !== check) return;
+      c.setState(({ errors }) => {
+        const { [name]: previous, ...rest } = errors;
+        return { errors: error ? { ...rest, [name]: error } : rest };
+      });
+    };
+
+    c.submit = async () => {
+      if (c.state.status === 'pending') return;
+      const errors = await validateFields(fields(), c.values);
+      if (Object.keys(errors).length) {
+        c.setState({ errors, summary: true, status: 'idle' });
+        await c.nextRender();
+        c.$('.form-summary')?.focus();
+        return;
+      }
+
+      c.setState({ errors: {}, summary: false, status: 'pending' });
+      c.controller = new AbortController();
+      const { signal } = c.controller;
+      // The field sheet itself accepts submissions (EDS forms service) wrapped in `data`
+      const endpoint = c.props.action || c.props.src;
+      const body = c.props.action ? c.values : { data: c.values };
+      try {
+        const resp = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal,
+        });
+        if (!resp.ok) throw new Error(`form submission failed: ${resp.status}`);
+        c.setState({ status: 'success' });
+        c.emit('form:submit', { values: { ...c.values } });
+      } catch (error) {
+        if (signal.aborted) return;
+        c.setState({ status: 'error' });
+        c.emit('form:error', { error });
+      }
+      await c.nextRender();
+      c.$('.form-status')?.focus();
+    };
+
+    c.onDestroy(() => c.controller?.abort());
+  },
+
+  mounted(c) {
+    // eslint-disable-next-line no-console
+    const report = (error) => console.error('form validation failed', error);
+
+    const sync = (e, el) => {
+      c.values[el.name] = el.type === 'checkbox' ? el.checked : el.value;
+      // Errors clear as soon as the value is fixed
+      if (c.state.errors[el.name]) c.validateField(el.name).catch(report);
+    };
+    c.on('input', 'input, select, textarea', sync);
+    c.on('change', 'select, input[type="checkbox"], input[type="radio"]', sync);
+
+    // Validate on leaving a field the user has filled in (empty fields wait for submit)
+    c.on('focusout', 'input, select, textarea', (e, el) => {
+      if (c.values[el.name] || c.state.errors[el.name]) c.validateField(el.name).catch(report);
+    });
+
+    c.on('submit', 'form', (e) => {
+      e.preventDefault();
+      c.submit().catch((error) => {
+        report(error);
+        c.setState({ status: 'error' });
+      });
+    });
+
+    c.on('click', '.form-summary a', (e, el) => {
+      e.preventDefault();
+      c.$(`[name="${el.dataset.field}"]`)?.focus();
+    });
+  },
+
+  loading: () => text('Loading form…', { variant: 'caption', className: 'form-loading' }),
+
+  error: () => text('This form is unavailable right now. Please try again later.', {
+    className: 'form-status form-status-error',
+  }),
+
+  render(c) {
+    const { errors, summary, status } = c.state;
+    const { fields, submitLabel } = c.data;
+
+    if (status === 'success') {
+      return html`<div class="form-status form-status-success" role="status" tabindex="-1">
+        ${c.props.successMessage || 'Thank you, your submission has been received.'}
+      </div>`;
+    }
+
+    const invalid = fields.filter((field) => errors[field.name]);
+    const problems = invalid.length === 1 ? 'There is a problem' : `There are ${invalid.length} problems`;
+
+    return html`<form class="form-form" novalidate ${{ 'aria-busy': status === 'pending' ? 'true' : null }}>
+      ${summary && invalid.length ? html`<div class="form-summary" role="alert" tabindex="-1" aria-labelledby="${c.formId}-summary">
+        <h2 class="form-summary-title" id="${c.formId}-summary">${problems}</h2>
+        <ul class="form-summary-list">
+          ${invalid.map((field) => html`<li>
+            <a href="#${c.formId}-${field.name}" data-field="${field.name}">${errors[field.name]}</a>
+          </li>`)}
+        </ul>
+      </div>` : ''}
+      ${status === 'error' ? html`<div class="form-status form-status-error" role="alert" tabindex="-1">
+        ${c.props.errorMessage || 'Something went wrong. Please try again.'}
+      </div>` : ''}
+      ${fields.map((field) => fieldTemplate(c, field))}
+      ${button(status === 'pending' ? 'Sending…' : submitLabel || c.props.submitLabel || 'Submit', {
+    type: 'submit',
+    disabled: status === 'pending',
+    className: 'form-submit',
+  })}
+    </form>`;
+  },
+});
+
+/**
+ * Block rows: Fields (link to the field spreadsheet), Action (endpoint, optional),
+ * Success / Error (messages, optional). A bare link to the spreadsheet also works.
+ */
+export default function decorate(block) {
+  const config = readBlockConfig(block);
+  createComponent('form', block, {
+    src: config.fields || block.querySelector('a[href]')?.href,
+    action: config.action,
+    successMessage: config.success,
+    errorMessage: config.error,
+  });
+}
@@ -1,13 +1,13 @@
 import {
-  link, buttonLink, cluster, container,
+  link, buttonLink, cluster, container, html, sanitizeHTML, setHTML,
 } from '../../scripts/lib/index.js';
 
 function renderFallbackHeader() {
-  return `
+  return html`
     <nav id="nav" class="nav-fallback">
       ${container(
     cluster(
-      `
+      html`
           <a href="/" class="nav-brand-link">
             <strong>BEHR</strong>
           </a>
@@ -36,14 +36,14 @@ export default async function decorate(block) {
 
   const resp = await fetch(`${navPath}.plain.html`);
   if (!resp.ok) {
-    block.innerHTML = renderFallbackHeader();
+    setHTML(block, renderFallbackHeader());
     return;
   }
 
-  const html = await resp.text();
+  const markup = await resp.text();
   const nav = document.createElement('nav');
   nav.id = 'nav';
-  nav.innerHTML = html;
+  setHTML(nav, sanitizeHTML(markup));
 
   // Process nav sections
   const sections = nav.querySelectorAll(':scope > div');
@@ -74,9 +74,9 @@ export default async function decorate(block) {
   hamburger.className = 'nav-hamburger';
   hamburger.setAttribute('aria-label', 'Open navigation menu');
   hamburger.setAttribute('aria-expanded', 'false');
-  hamburger.innerHTML = `
+  setHTML(hamburger, html`
     <span class="nav-hamburger-icon"></span>
-  `;
+  `);
 
   hamburger.addEventListener('click', () => {
     const expanded = hamburger.getAttribute('aria-expanded') === 'true';
@@ -84,7 +84,7 @@ export default async function decorate(block) {
     nav.classList.toggle('nav-open');
   });
 
-  block.innerHTML = '';
+  block.replaceChildren();
   block.append(hamburger);
   block.append(nav);
 }
@@ -1,5 +1,5 @@
 import {
-  h1, text, buttonLink, stack, container,
+  h1, text, buttonLink, stack, container, html, unsafeHTML, setHTML,
 } from '../../scripts/lib/index.js';
 
 export default function decorate(block) {
@@ -13,14 +13,14 @@ export default function decorate(block) {
   const headingText = headingEl?.textContent || '';
   const bodyText = bodyEl?.textContent || '';
 
-  block.innerHTML = `
+  setHTML(block, html`
     <div class="hero-media">
-      ${picture?.outerHTML || ''}
+      ${unsafeHTML(picture?.outerHTML)}
     </div>
     <div class="hero-content">
       ${container(
     stack(
-      `
+      html`
           ${headingText ? h1(headingText, { className: 'hero-title' }) : ''}
           ${bodyText ? text(bodyText, { variant: 'lead', className: 'hero-body' }) : ''}
           ${ctaEl ? buttonLink(ctaEl.textContent, ctaEl.href, { variant: 'primary', size: 'lg', className: 'hero-cta' }) : ''}
@@ -30,5 +30,5 @@ export default function decorate(block) {
     { size: 'lg' },
   )}
     </div>
-  `;
+  `);
 }
@@ -0,0 +1,98 @@
+import {
+  html, unsafeHTML, defineComponent, createComponent,
+  parsePanels, panelIndexForHash, loadPanelBlocks, scrollToHash,
+} from '../../scripts/lib/index.js';
+
+defineComponent('tabs', {
+  morph: true,
+
+  defaultState: {
+    selected: 0,
+  },
+
+  setup(c) {
+    c.panels = parsePanels(c.el);
+    c.vertical = c.props.orientation === 'vertical' || c.el.classList.contains('vertical');
+
+    const linked = panelIndexForHash(c.panels);
+    if (linked !== -1) c.setState({ selected: linked });
+
+    // Select a tab, optionally moving focus to it (keyboard navigation)
+    c.select = (index, focus = false) => {
+      c.setState({ selected: index });
+      if (focus) c.$$('[role="tab"]')[index]?.focus();
+    };
+  },
+
+  mounted(c) {
+    c.on('click', '[role="tab"]', (e, el) => c.select(Number(el.dataset.index)));
+
+    // Arrows wrap, Home/End jump; focusing a tab activates it
+    c.on('keydown', '[role="tab"]', (e, el) => {
+      const index = Number(el.dataset.index);
+      const last = c.panels.length - 1;
+      const [prevKey, nextKey] = c.vertical ? ['ArrowUp', 'ArrowDown'] : ['ArrowLeft', 'ArrowRight'];
+      const next = {
+        [prevKey]: index === 0 ? last : index - 1,
+        [nextKey]: index === last ? 0 : index + 1,
+        Home: 0,
+        End: last,
+      }[e.key];
+      if (next === undefined) return;
+      e.preventDefault();
+      c.select(next, true);
+    });
+
+    // Nested blocks load when their panel is first shown
+    const loadSelected = () => {
+      const body = c.$$('.tabs-panel-body')[c.state.selected];
+      if (body) loadPanelBlocks(body);
+    };
+    c.onRender(loadSelected);
+    loadSelected();
+
+    const onHashChange = () => {
+      const index = panelIndexForHash(c.panels);
+      if (index === -1) return;
+      c.select(index);
+      c.nextRender().then(scrollToHash);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    c.onDestroy(() => window.removeEventListener('hashchange', onHashChange));
+  },
+
+  render(c) {
+    const { selected } = c.state;
+    return html`
+      <div class="tabs-list" role="tablist" ${{
+    'aria-label': c.props.label,
+    'aria-orientation': c.vertical ? 'vertical' : null,
+  }}>
+        ${c.panels.map((panel, i) => html`<button
+          type="button"
+          class="tabs-tab"
+          role="tab"
+          id="${panel.id}-tab"
+          aria-controls="${panel.id}"
+          aria-selected="${String(i === selected)}"
+          tabindex="${i === selected ? '0' : '-1'}"
+          data-index="${i}"
+        >${panel.label}</button>`)}
+      </div>
+      ${c.panels.map((panel, i) => html`<div
+        class="tabs-panel"
+        role="tabpanel"
+        id="${panel.id}"
+        aria-labelledby="${panel.id}-tab"
+        tabindex="0"
+        ${{ hidden: i !== selected }}
+      >
+        <div class="tabs-panel-body" data-morph-ignore>${unsafeHTML(panel.content)}</div>
+      </div>`)}
+    `;
+  },
+});
+
+export default function decorate(block) {
+  createComponent('tabs', block);
+}
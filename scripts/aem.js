@@ -11,6 +11,9 @@
  */
 
 /* eslint-env browser */
+
+import { trustedHTML, trustedScriptURL, pageNonce } from './lib/trusted-types.js';
+
 function sampleRUM(checkpoint, data) {
   // eslint-disable-next-line max-len
   const timeShift = () => (window.performance ? window.performance.now() : Date.now() - window.hlx.rum.firstReadTime);
@@ -127,10 +130,11 @@ function sampleRUM(checkpoint, data) {
             script.integrity = enhancerHash;
             script.setAttribute('crossorigin', 'anonymous');
           }
-          script.src = new URL(
+          script.nonce = pageNonce();
+          script.src = trustedScriptURL(new URL(
             `.rum/@adobe/helix-rum-enhancer@${enhancerVersion || '^2'}/src/index.js`,
             sampleRUM.baseURL,
-          ).href;
+          ).href);
           document.head.appendChild(script);
         };
         if (!window.hlx.RUM_MANUAL_ENHANCE) {
@@ -267,6 +271,7 @@ async function loadCSS(href) {
 
 /**
  * Loads a non module JS file.
+ * The page nonce is passed on so the script runs under the strict-dynamic CSP.
  * @param {string} src URL to the JS file
  * @param {Object} attrs additional optional attributes
  */
@@ -274,7 +279,8 @@ async function loadScript(src, attrs) {
   return new Promise((resolve, reject) => {
     if (!document.querySelector(`head > script[src="${src}"]`)) {
       const script = document.createElement('script');
-      script.src = src;
+      script.nonce = pageNonce();
+      script.src = trustedScriptURL(src);
       if (attrs) {
         // eslint-disable-next-line no-restricted-syntax, guard-for-in
         for (const attr in attrs) {
@@ -538,7 +544,7 @@ function buildBlock(blockName, content) {
       vals.forEach((val) => {
         if (val) {
           if (typeof val === 'string') {
-            colEl.innerHTML += val;
+            colEl.insertAdjacentHTML('beforeend', trustedHTML(val));
           } else {
             colEl.appendChild(val);
           }
@@ -1,11 +1,12 @@
 /**
  * Behr EDS Framework - Template Atoms
- * @fileoverview Template literal factories for atomic UI elements
+ * @fileoverview Template literal factories for atomic UI elements (built on html``)
  */
 
-import {
-  esc, cx, attrs, uid,
-} from './utils.js';
+import { cx, uid } from './utils.js';
+import { html, unsafeHTML } from './html.js';
+import sanitizeHTML from './sanitize.js';
+import { bindFormControls, counterText } from './form-controls.js';
 
 // =============================================================================
 // TYPOGRAPHY
@@ -18,8 +19,7 @@ export const heading = (level, content, opts = {}) => {
   const { className, ...rest } = opts;
   const tag = `h${Math.min(Math.max(level, 1), 6)}`;
   const classes = cx('heading', `heading-${level}`, className);
-  const safeContent = typeof content === 'string' ? esc(content) : content;
-  return `<${tag} class="${classes}" ${attrs(rest)}>${safeContent}</${tag}>`;
+  return html`<${tag} class="${classes}" ${rest}>${content}</${tag}>`;
 };
 
 export const h1 = (content, opts) => heading(1, content, opts);
@@ -37,7 +37,7 @@ export const text = (content, opts = {}) => {
     variant, className, tag = 'p', ...rest
   } = opts;
   const classes = cx('text', variant && `text-${variant}`, className);
-  return `<${tag} class="${classes}" ${attrs(rest)}>${esc(content)}</${tag}>`;
+  return html`<${tag} class="${classes}" ${rest}>${content}</${tag}>`;
 };
 
 export const lead = (content, opts) => text(content, { ...opts, variant: 'lead' });
@@ -45,11 +45,26 @@ export const small = (content, opts) => text(content, { ...opts, variant: 'small
 export const caption = (content, opts) => text(content, { ...opts, variant: 'caption' });
 
 /**
- * Rich text passthrough - use ONLY for trusted EDS content
+ * Rich text - markup is sanitized unless `trusted: true` (use ONLY for trusted EDS content)
  */
-export const richText = (html, opts = {}) => {
-  const { className, ...rest } = opts;
-  return `<div class="${cx('rich-text', className)}" ${attrs(rest)}>${html}</div>`;
+export const richText = (markup, opts = {}) => {
+  const {
+    className, trusted = false, sanitize, ...rest
+  } = opts;
+  const content = unsafeHTML(trusted ? markup : sanitizeHTML(markup, sanitize));
+  return html`<div class="${cx('rich-text', className)}" ${rest}>${content}</div>`;
+};
+
+/**
+ * Text with every case-insensitive occurrence of `query` wrapped in <mark>
+ */
+export const highlight = (content, query) => {
+  const term = String(query ?? '').trim();
+  if (!term) return html`${content}`;
+  const pattern = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+  // split() with a capture group puts the matches at the odd indexes
+  const parts = String(content).split(pattern);
+  return html`${parts.map((part, i) => (i % 2 ? html`<mark class="highlight">${part}</mark>` : part))}`;
 };
 
 // =============================================================================
@@ -80,11 +95,11 @@ export const button = (label, opts = {}) => {
     className,
   );
 
-  const iconHtml = icon ? `<span class="btn-icon-el" aria-hidden="true">${icon}</span>` : '';
-  const labelHtml = label ? `<span class="btn-label">${esc(label)}</span>` : '';
-  const content = iconPos === 'end' ? labelHtml + iconHtml : iconHtml + labelHtml;
+  const iconHtml = icon ? html`<span class="btn-icon-el" aria-hidden="true">${icon}</span>` : '';
+  const labelHtml = label ? html`<span class="btn-label">${label}</span>` : '';
+  const content = iconPos === 'end' ? [labelHtml, iconHtml] : [iconHtml, labelHtml];
 
-  return `<button class="${classes}" type="${type}" ${disabled ? 'disabled' : ''} ${attrs(rest)}>${content}</button>`;
+  return html`<button class="${classes}" type="${type}" ${{ disabled }} ${rest}>${content}</button>`;
 };
 
 /**
@@ -95,8 +110,8 @@ export const link = (label, href, opts = {}) => {
     variant, external, className, ...rest
   } = opts;
   const classes = cx('link', variant && `link-${variant}`, className);
-  const externalAttrs = external ? 'target="_blank" rel="noopener noreferrer"' : '';
-  return `<a href="${esc(href)}" class="${classes}" ${externalAttrs} ${attrs(rest)}>${esc(label)}</a>`;
+  const externalAttrs = external ? { target: '_blank', rel: 'noopener noreferrer' } : null;
+  return html`<a href="${href}" class="${classes}" ${externalAttrs} ${rest}>${label}</a>`;
 };
 
 /**
@@ -107,13 +122,39 @@ export const buttonLink = (label, href, opts = {}) => {
     variant = 'primary', size, className, ...rest
   } = opts;
   const classes = cx('btn', `btn-${variant}`, size && `btn-${size}`, className);
-  return `<a href="${esc(href)}" class="${classes}" ${attrs(rest)}>${esc(label)}</a>`;
+  return html`<a href="${href}" class="${classes}" ${rest}>${label}</a>`;
 };
 
 // =============================================================================
 // FORMS
 // =============================================================================
 
+const requiredMark = (required) => (required ? html`<span class="form-required" aria-hidden="true">*</span>` : '');
+
+/**
+ * Label, hint and error wiring shared by the form atoms: `${id}-hint` and `${id}-error`
+ * ids, the control's aria attributes (`describedBy` ids go between hint and error) and
+ * the markup around the control
+ */
+const fieldChrome = (id, opts) => {
+  const {
+    label, hint, error, required, labelId, describedBy = [],
+  } = opts;
+  const hintId = hint ? `${id}-hint` : null;
+  const errorId = error ? `${id}-error` : null;
+
+  return {
+    label: label ? html`<label class="form-label" ${{ id: labelId }} for="${id}">${label}${requiredMark(required)}</label>` : '',
+    hint: hint ? html`<span class="form-hint" id="${hintId}">${hint}</span>` : '',
+    error: error ? html`<span class="form-error" id="${errorId}" role="alert">${error}</span>` : '',
+    aria: {
+      'aria-required': required ? 'true' : null,
+      'aria-describedby': [hintId, ...describedBy, errorId].filter(Boolean).join(' ') || null,
+      'aria-invalid': error ? 'true' : null,
+    },
+  };
+};
+
 /**
  * Input field with label
  */
@@ -132,27 +173,28 @@ export const input = (name, opts = {}) => {
 
   const id = rest.id || uid('input');
   const classes = cx('form-field', error && 'has-error', className);
-  const hintId = hint ? uid('hint') : null;
-  const errorId = error ? uid('error') : null;
-  const describedBy = [hintId, errorId].filter(Boolean).join(' ');
+  const field = fieldChrome(id, {
+    label, hint, error, required,
+  });
 
-  return `
+  return html`
     <div class="${classes}">
-      ${label ? `<label class="form-label" for="${id}">${esc(label)}${required ? '<span class="form-required" aria-hidden="true">*</span>' : ''}</label>` : ''}
-      ${hint ? `<span class="form-hint" id="${hintId}">${esc(hint)}</span>` : ''}
+      ${field.label}
+      ${field.hint}
       <input
         type="${type}"
         id="${id}"
         name="${name}"
         class="form-input"
-        ${placeholder ? `placeholder="${esc(placeholder)}"` : ''}
-        ${value ? `value="${esc(value)}"` : ''}
-        ${required ? 'required aria-required="true"' : ''}
-        ${describedBy ? `aria-describedby="${describedBy}"` : ''}
-        ${error ? 'aria-invalid="true"' : ''}
-        ${attrs(rest)}
+        ${{
+    placeholder,
+    value: value || null,
+    required,
+    ...field.aria,
+  }}
+        ${rest}
       />
-      ${error ? `<span class="form-error" id="${errorId}" role="alert">${esc(error)}</span>` : ''}
+      ${field.error}
     </div>
   `;
 };
@@ -162,22 +204,361 @@ export const input = (name, opts = {}) => {
  */
 export const select = (name, options = [], opts = {}) => {
   const {
-    label, required, value, placeholder, className, ...rest
+    label, required, value, placeholder, error, hint, className, ...rest
   } = opts;
   const id = rest.id || uid('select');
-  const classes = cx('form-field', className);
+  const classes = cx('form-field', error && 'has-error', className);
+  const field = fieldChrome(id, {
+    label, hint, error, required,
+  });
 
-  return `
+  return html`
     <div class="${classes}">
-      ${label ? `<label class="form-label" for="${id}">${esc(label)}${required ? '<span class="form-required">*</span>' : ''}</label>` : ''}
-      <select id="${id}" name="${name}" class="form-select" ${required ? 'required' : ''} ${attrs(rest)}>
-        ${placeholder ? `<option value="" disabled ${!value ? 'selected' : ''}>${esc(placeholder)}</option>` : ''}
+      ${field.label}
+      ${field.hint}
+      <select
+        id="${id}"
+        name="${name}"
+        class="form-select"
+        ${{ required, ...field.aria }}
+        ${rest}
+      >
+        ${placeholder ? html`<option value="" disabled ${{ selected: !value }}>${placeholder}</option>` : ''}
         ${options.map((opt) => {
     const optValue = typeof opt === 'string' ? opt : opt.value;
     const optLabel = typeof opt === 'string' ? opt : opt.label;
-    return `<option value="${esc(optValue)}" ${value === optValue ? 'selected' : ''}>${esc(optLabel)}</option>`;
-  }).join('')}
+    return html`<option value="${optValue}" ${{ selected: value === optValue }}>${optLabel}</option>`;
+  })}
       </select>
+      ${field.error}
+    </div>
+  `;
+};
+
+/**
+ * Fieldset legend
+ */
+export const legend = (content, opts = {}) => {
+  const { required, className, ...rest } = opts;
+  return html`<legend class="${cx('form-legend', className)}" ${rest}>${content}${requiredMark(required)}</legend>`;
+};
+
+/**
+ * Fieldset grouping related controls under a legend
+ */
+export const fieldset = (children, opts = {}) => {
+  const {
+    legend: legendContent, required, error, hint, className, ...rest
+  } = opts;
+  const id = rest.id || uid('fieldset');
+  const classes = cx('form-fieldset', error && 'has-error', className);
+  const field = fieldChrome(id, { hint, error });
+
+  return html`
+    <fieldset class="${classes}" id="${id}" ${{ 'aria-describedby': field.aria['aria-describedby'] }} ${rest}>
+      ${legendContent ? legend(legendContent, { required }) : ''}
+      ${field.hint}
+      ${children}
+      ${field.error}
+    </fieldset>
+  `;
+};
+
+/**
+ * Single checkbox (or switch) with its label beside it
+ */
+const checkControl = (name, opts, variant) => {
+  const {
+    prefix, role, inputClass, indicator,
+  } = variant;
+  const {
+    label, required, checked, value, error, hint, className, ...rest
+  } = opts;
+  const id = rest.id || uid(prefix);
+  const classes = cx('form-field', 'form-check', error && 'has-error', className);
+  const field = fieldChrome(id, {
+    label, hint, error, required,
+  });
+
+  return html`
+    <div class="${classes}">
+      <div class="form-check-row">
+        <input
+          type="checkbox"
+          id="${id}"
+          name="${name}"
+          class="${inputClass}"
+          ${{
+    role,
+    value: value ?? null,
+    checked,
+    required,
+    ...field.aria,
+  }}
+          ${rest}
+        />
+        ${indicator}
+        ${field.label}
+      </div>
+      ${field.hint}
+      ${field.error}
+    </div>
+  `;
+};
+
+/**
+ * Checkbox with label
+ */
+export const checkbox = (name, opts = {}) => checkControl(name, opts, {
+  prefix: 'checkbox',
+  role: null,
+  inputClass: 'form-checkbox',
+  indicator: '',
+});
+
+/**
+ * On/off switch: a checkbox announced as a switch
+ */
+export const toggle = (name, opts = {}) => checkControl(name, opts, {
+  prefix: 'toggle',
+  role: 'switch',
+  inputClass: 'form-toggle',
+  indicator: html`<span class="form-toggle-track" aria-hidden="true"></span>`,
+});
+
+/**
+ * Radio buttons in a fieldset; the legend labels the group
+ */
+export const radioGroup = (name, options = [], opts = {}) => {
+  const {
+    label, required, value, error, hint, inline, className, ...rest
+  } = opts;
+  const id = rest.id || uid('radio');
+
+  return fieldset(html`
+    <div class="form-options">
+      ${options.map((opt, i) => {
+    const optValue = typeof opt === 'string' ? opt : opt.value;
+    const optLabel = typeof opt === 'string' ? opt : opt.label;
+    return html`<div class="form-check-row">
+          <input
+            type="radio"
+            id="${id}-${i}"
+            name="${name}"
+            class="form-radio"
+            value="${optValue}"
+            ${{ checked: value === optValue, required, 'aria-invalid': error ? 'true' : null }}
+          />
+          <label class="form-label" for="${id}-${i}">${optLabel}</label>
+        </div>`;
+  })}
+    </div>
+  `, {
+    ...rest,
+    id,
+    legend: label,
+    required,
+    error,
+    hint,
+    className: cx('form-radio-group', inline && 'is-inline', className),
+  });
+};
+
+/**
+ * Multi-line text field; a maxlength adds a live "characters remaining" counter
+ */
+export const textarea = (name, opts = {}) => {
+  const {
+    label,
+    placeholder,
+    required,
+    value = '',
+    error,
+    hint,
+    rows = 4,
+    maxlength,
+    className,
+    ...rest
+  } = opts;
+
+  const id = rest.id || uid('textarea');
+  const classes = cx('form-field', error && 'has-error', className);
+  const counted = maxlength != null;
+  // The visible count describes the field on focus; typing is announced by the status
+  const countId = counted ? `${id}-count` : null;
+  const field = fieldChrome(id, {
+    label, hint, error, required, describedBy: [countId],
+  });
+  if (counted) bindFormControls();
+
+  return html`
+    <div class="${classes}">
+      ${field.label}
+      ${field.hint}
+      <textarea
+        id="${id}"
+        name="${name}"
+        class="form-textarea"
+        rows="${rows}"
+        ${{
+    placeholder,
+    maxlength,
+    required,
+    'data-counter': counted,
+    ...field.aria,
+  }}
+        ${rest}
+      >${value}</textarea>
+      ${counted ? html`<div class="form-counter" id="${id}-counter">
+        <span class="form-counter-visual" id="${countId}" aria-hidden="true">${counterText(maxlength - String(value).length)}</span>
+        <span class="form-counter-status sr-only" role="status"></span>
+      </div>` : ''}
+      ${field.error}
+    </div>
+  `;
+};
+
+/**
+ * Range slider with its current value shown in a bound <output>
+ */
+export const range = (name, opts = {}) => {
+  const {
+    label,
+    min = 0,
+    max = 100,
+    step = 1,
+    value = min,
+    unit = '',
+    error,
+    hint,
+    className,
+    ...rest
+  } = opts;
+
+  const id = rest.id || uid('range');
+  const classes = cx('form-field', 'form-range-field', error && 'has-error', className);
+  const field = fieldChrome(id, { label, hint, error });
+  bindFormControls();
+
+  // The slider announces its own value (aria-valuetext), so the output is visual only
+  return html`
+    <div class="${classes}">
+      <div class="form-range-header">
+        ${field.label}
+        <output class="form-output" id="${id}-output" for="${id}" aria-hidden="true">${value}${unit}</output>
+      </div>
+      ${field.hint}
+      <input
+        type="range"
+        id="${id}"
+        name="${name}"
+        class="form-range"
+        min="${min}"
+        max="${max}"
+        step="${step}"
+        value="${value}"
+        data-output
+        ${{
+    'data-unit': unit || null,
+    'aria-valuetext': `${value}${unit}`,
+    ...field.aria,
+  }}
+        ${rest}
+      />
+      ${field.error}
+    </div>
+  `;
+};
+
+/**
+ * Combobox (ARIA 1.2 editable combobox with listbox popup). Markup only: the
+ * `combobox` component owns the query, the open/active state and the selection.
+ * Options are { value, label }; `selected` holds the chosen options.
+ */
+export const combobox = (name, opts = {}) => {
+  const {
+    label,
+    placeholder,
+    required,
+    query = '',
+    options = [],
+    selected = [],
+    expanded = false,
+    active = -1,
+    multiple,
+    busy,
+    error,
+    hint,
+    className,
+    ...rest
+  } = opts;
+
+  const id = rest.id || uid('combobox');
+  const classes = cx('form-field', 'combobox-field', error && 'has-error', className);
+  const field = fieldChrome(id, {
+    label, hint, error, required, labelId: `${id}-label`,
+  });
+  const listId = `${id}-listbox`;
+  const open = expanded && options.length > 0;
+  const isSelected = (option) => selected.some((item) => item.value === option.value);
+
+  let status = '';
+  if (expanded && busy) status = 'Searching…';
+  else if (expanded) status = options.length === 1 ? '1 result available' : `${options.length || 'No'} results available`;
+
+  return html`
+    <div class="${classes}">
+      ${field.label}
+      ${field.hint}
+      <div class="combobox-control">
+        ${multiple && selected.length ? html`<ul class="combobox-chips" aria-label="Selected">
+          ${selected.map((option) => html`<li class="combobox-chip" data-key="${option.value}">
+            <span class="combobox-chip-label">${option.label}</span>
+            <button type="button" class="combobox-chip-remove" data-value="${option.value}" aria-label="Remove ${option.label}">
+              <span aria-hidden="true">×</span>
+            </button>
+          </li>`)}
+        </ul>` : ''}
+        <input
+          type="text"
+          id="${id}"
+          class="form-input combobox-input"
+          role="combobox"
+          autocomplete="off"
+          aria-autocomplete="list"
+          aria-controls="${listId}"
+          aria-expanded="${String(open)}"
+          value="${query}"
+          ${{
+    placeholder,
+    'aria-activedescendant': open && active >= 0 ? `${id}-option-${active}` : null,
+    ...field.aria,
+  }}
+          ${rest}
+        />
+        <ul
+          class="combobox-listbox"
+          id="${listId}"
+          role="listbox"
+          ${{
+    'aria-labelledby': label ? `${id}-label` : null,
+    'aria-multiselectable': multiple ? 'true' : null,
+    hidden: !open,
+  }}
+        >
+          ${options.map((option, i) => html`<li
+            class="${cx('combobox-option', i === active && 'is-active')}"
+            id="${id}-option-${i}"
+            role="option"
+            aria-selected="${String(isSelected(option))}"
+            data-index="${i}"
+          >${highlight(option.label, query)}</li>`)}
+        </ul>
+      </div>
+      ${expanded && !busy && !options.length ? html`<p class="combobox-empty" aria-hidden="true">No results found</p>` : ''}
+      <div class="combobox-status sr-only" role="status">${status}</div>
+      ${name ? selected.map((option) => html`<input type="hidden" name="${name}" value="${option.value}" />`) : ''}
+      ${field.error}
     </div>
   `;
 };
@@ -191,7 +572,7 @@ export const select = (name, options = [], opts = {}) => {
  */
 export const stack = (children, opts = {}) => {
   const { gap = 'md', className, ...rest } = opts;
-  return `<div class="${cx('stack', `stack-${gap}`, className)}" ${attrs(rest)}>${children}</div>`;
+  return html`<div class="${cx('stack', `stack-${gap}`, className)}" ${rest}>${children}</div>`;
 };
 
 /**
@@ -208,7 +589,7 @@ export const cluster = (children, opts = {}) => {
     align && `align-${align}`,
     className,
   );
-  return `<div class="${classes}" ${attrs(rest)}>${children}</div>`;
+  return html`<div class="${classes}" ${rest}>${children}</div>`;
 };
 
 /**
@@ -219,7 +600,7 @@ export const card = (children, opts = {}) => {
     variant, padding = 'md', className, ...rest
   } = opts;
   const classes = cx('card', variant && `card-${variant}`, `card-pad-${padding}`, className);
-  return `<article class="${classes}" ${attrs(rest)}>${children}</article>`;
+  return html`<article class="${classes}" ${rest}>${children}</article>`;
 };
 
 /**
@@ -227,7 +608,67 @@ export const card = (children, opts = {}) => {
  */
 export const container = (children, opts = {}) => {
   const { size = 'default', className, ...rest } = opts;
-  return `<div class="${cx('container', size !== 'default' && `container-${size}`, className)}" ${attrs(rest)}>${children}</div>`;
+  return html`<div class="${cx('container', size !== 'default' && `container-${size}`, className)}" ${rest}>${children}</div>`;
+};
+
+// =============================================================================
+// OVERLAYS
+// =============================================================================
+
+/**
+ * Modal dialog on <dialog> - behaviour (focus trap, dismiss, scroll lock) comes from
+ * the `dialog` component; `actions` render as method="dialog" buttons whose value
+ * becomes the dialog's returnValue
+ */
+export const dialog = (content, opts = {}) => {
+  const {
+    title,
+    id = uid('dialog'),
+    size = 'md',
+    actions = [],
+    dismissible = true,
+    closeLabel = 'Close',
+    className,
+    ...rest
+  } = opts;
+  const titleId = `${id}-title`;
+  const classes = cx('dialog', `dialog-${size}`, className);
+  const labelAttrs = { 'aria-labelledby': title && titleId, 'aria-modal': 'true', tabindex: '-1' };
+
+  return html`<dialog id="${id}" class="${classes}" ${labelAttrs} ${rest}>
+    <div class="dialog-surface">
+      <div class="dialog-header">
+        ${title ? html`<h2 id="${titleId}" class="dialog-title">${title}</h2>` : ''}
+        ${dismissible ? html`<button type="button" class="dialog-close" aria-label="${closeLabel}" data-dialog-close>
+          <span aria-hidden="true">&times;</span>
+        </button>` : ''}
+      </div>
+      <div class="dialog-body">${content}</div>
+      ${actions.length ? html`<form method="dialog" class="dialog-actions">
+        ${actions.map(({ label, value = label, variant = 'secondary' }) => button(label, {
+    type: 'submit', variant, value,
+  }))}
+      </form>` : ''}
+    </div>
+  </dialog>`;
+};
+
+// =============================================================================
+// COMPOSITION
+// =============================================================================
+
+/**
+ * Nested component placeholder - mounted by the parent component after render
+ */
+export const component = (name, props = {}, opts = {}) => {
+  const {
+    tag = 'div', key, className, ...rest
+  } = opts;
+  return html`<${tag}
+    data-component="${name}"
+    data-props="${JSON.stringify(props)}"
+    ${{ 'data-key': key, class: className, ...rest }}
+  ></${tag}>`;
 };
 
 // =============================================================================
@@ -244,6 +685,7 @@ export const colorSwatch = (color, opts = {}) => {
     selected = false,
     showName = true,
     showCode = false,
+    key,
     className,
     ...rest
   } = opts;
@@ -257,23 +699,23 @@ export const colorSwatch = (color, opts = {}) => {
   );
 
   const interactiveAttrs = interactive
-    ? `role="button" tabindex="0" aria-pressed="${selected}"`
-    : '';
+    ? { role: 'button', tabindex: '0', 'aria-pressed': String(selected) }
+    : null;
 
-  return `
+  return html`
     <div
       class="${classes}"
-      style="--swatch-color: ${esc(color.hex)}"
-      data-hex="${esc(color.hex)}"
-      data-name="${esc(color.name || '')}"
-      ${color.id ? `data-id="${esc(color.id)}"` : ''}
+      style="--swatch-color: ${color.hex}"
+      data-hex="${color.hex}"
+      data-name="${color.name || ''}"
+      ${{ 'data-id': color.id || null, 'data-key': key }}
       ${interactiveAttrs}
-      ${attrs(rest)}
+      ${rest}
     >
       <span class="swatch-chip"></span>
       <span class="swatch-info">
-        ${showName && color.name ? `<span class="swatch-name">${esc(color.name)}</span>` : ''}
-        ${showCode && color.code ? `<span class="swatch-code">${esc(color.code)}</span>` : ''}
+        ${showName && color.name ? html`<span class="swatch-name">${color.name}</span>` : ''}
+        ${showCode && color.code ? html`<span class="swatch-code">${color.code}</span>` : ''}
       </span>
     </div>
   `;
@@ -287,6 +729,6 @@ export const icon = (name, opts = {}) => {
     size, className, label, ...rest
   } = opts;
   const classes = cx('icon', `icon-${name}`, size && `icon-${size}`, className);
-  const a11y = label ? `aria-label="${esc(label)}"` : 'aria-hidden="true"';
-  return `<span class="${classes}" ${a11y} ${attrs(rest)}></span>`;
+  const a11y = label ? { 'aria-label': label } : { 'aria-hidden': 'true' };
+  return html`<span class="${classes}" ${a11y} ${rest}></span>`;
 };
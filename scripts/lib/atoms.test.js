@@ -0,0 +1,109 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkbox, toggle, radioGroup, textarea, range, fieldset,
+} from './atoms.js';
+
+// Breaks out of text (<), out of a quoted attribute (") and would run if it became a URL
+const EVIL = '<img src=x onerror=alert(1)>" onfocus="alert(2)" javascript:alert(3)';
+
+const render = (markup) => {
+  const root = document.createElement('div');
+  root.innerHTML = String(markup);
+  return root;
+};
+
+// Nothing the payload smuggled in may exist as real markup
+const expectInert = (root) => {
+  expect(root.querySelector('img, script')).toBeNull();
+  expect(root.querySelector('[onerror], [onfocus]')).toBeNull();
+  expect(root.querySelector('[href], [src]')).toBeNull();
+};
+
+const chrome = {
+  label: EVIL, hint: EVIL, error: EVIL, required: true,
+};
+
+describe('form atom escaping', () => {
+  it.each([
+    ['checkbox', checkbox],
+    ['toggle', toggle],
+  ])('%s keeps label, hint, error and value as text', (prefix, atom) => {
+    const root = render(atom('agree', { ...chrome, id: prefix, value: EVIL }));
+    expectInert(root);
+
+    const control = root.querySelector(`#${prefix}`);
+    expect(control.value).toBe(EVIL);
+    expect(control.getAttribute('aria-describedby')).toBe(`${prefix}-hint ${prefix}-error`);
+    expect(control.getAttribute('aria-invalid')).toBe('true');
+    expect(root.querySelector(`label[for="${prefix}"]`).textContent).toBe(`${EVIL}*`);
+    expect(root.querySelector(`#${prefix}-hint`).textContent).toBe(EVIL);
+    expect(root.querySelector(`#${prefix}-error`).textContent).toBe(EVIL);
+  });
+
+  it('radioGroup keeps the legend, option values and option labels as text', () => {
+    const root = render(radioGroup('pick', [{ value: EVIL, label: EVIL }, 'plain'], {
+      ...chrome, id: 'rg', value: EVIL,
+    }));
+    expectInert(root);
+
+    const group = root.querySelector('fieldset');
+    expect(group.getAttribute('aria-describedby')).toBe('rg-hint rg-error');
+    expect(group.querySelector('legend').textContent).toBe(`${EVIL}*`);
+
+    const first = root.querySelector('#rg-0');
+    expect(first.value).toBe(EVIL);
+    expect(first.checked).toBe(true);
+    expect(root.querySelector('label[for="rg-0"]').textContent).toBe(EVIL);
+    expect(root.querySelector('#rg-1').value).toBe('plain');
+    expect(root.querySelector('#rg-error').textContent).toBe(EVIL);
+  });
+
+  it('textarea cannot be closed early by its value', () => {
+    const value = `</textarea>${EVIL}`;
+    const root = render(textarea('message', {
+      ...chrome, id: 'ta', value, maxlength: 200,
+    }));
+    expectInert(root);
+
+    const control = root.querySelector('#ta');
+    expect(control.value).toBe(value);
+    expect(control.getAttribute('aria-describedby')).toBe('ta-hint ta-count ta-error');
+    expect(root.querySelector('#ta-count').textContent)
+      .toBe(`${200 - value.length} characters remaining`);
+    expect(root.querySelector('#ta-hint').textContent).toBe(EVIL);
+  });
+
+  it('range keeps its unit and label as text', () => {
+    const root = render(range('volume', {
+      label: EVIL, hint: EVIL, error: EVIL, id: 'vol', value: 4, unit: EVIL,
+    }));
+    expectInert(root);
+
+    const control = root.querySelector('#vol');
+    expect(control.dataset.unit).toBe(EVIL);
+    expect(control.getAttribute('aria-valuetext')).toBe(`4${EVIL}`);
+    expect(control.getAttribute('aria-describedby')).toBe('vol-hint vol-error');
+    expect(root.querySelector('#vol-output').textContent).toBe(`4${EVIL}`);
+    expect(root.querySelector('label[for="vol"]').textContent).toBe(EVIL);
+  });
+
+  it('fieldset keeps legend, hint and error as text', () => {
+    const root = render(fieldset('', { ...chrome, legend: EVIL, id: 'fs' }));
+    expectInert(root);
+
+    const group = root.querySelector('#fs');
+    expect(group.getAttribute('aria-describedby')).toBe('fs-hint fs-error');
+    expect(group.querySelector('legend').textContent).toBe(`${EVIL}*`);
+    expect(root.querySelector('#fs-hint').textContent).toBe(EVIL);
+    expect(root.querySelector('#fs-error').textContent).toBe(EVIL);
+  });
+
+  it('omits aria-describedby when there is nothing to describe', () => {
+    const root = render(checkbox('plain', { id: 'bare', label: 'Plain' }));
+    expect(root.querySelector('#bare').hasAttribute('aria-describedby')).toBe(false);
+  });
+});
@@ -4,9 +4,19 @@
  */
 
 import events from './events.js';
+import morph, { morphAttributes } from './morph.js';
+import { schedule, cancel } from './scheduler.js';
+import createUrlState from './url-state.js';
+import rovingFocus from './roving-focus.js';
+import { setHTML } from './trusted-types.js';
+import { shallowEqual } from './utils.js';
+import { sampleRUM } from '../aem.js';
 
 const registry = new Map();
 const componentInstances = new WeakMap();
+const pendingDefinitions = new Map();
+const lazyMounts = new WeakMap();
+const errorHandlers = new Set();
 
 /**
  * Define a reusable component
@@ -17,81 +27,481 @@ export function defineComponent(name, definition) {
   registry.set(name, definition);
 }
 
+/**
+ * Register a global handler for errors caught by component error boundaries
+ * @param {Function} handler - (error, { name, phase, component }) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function onComponentError(handler) {
+  errorHandlers.add(handler);
+  return () => errorHandlers.delete(handler);
+}
+
+/**
+ * Report a component error to RUM, the console and onComponentError handlers
+ */
+function reportComponentError(name, error, phase, component) {
+  sampleRUM('error', { source: `component:${name}`, target: `${phase}: ${error?.message || error}` });
+  // eslint-disable-next-line no-console
+  console.error(`component ${name} failed in ${phase}`, error);
+  errorHandlers.forEach((fn) => {
+    try {
+      fn(error, { name, phase, component });
+    } catch (handlerError) {
+      // eslint-disable-next-line no-console
+      console.error('onComponentError handler failed', handlerError);
+    }
+  });
+}
+
+/**
+ * Conventional module path for a component definition
+ * @param {string} name - Component name
+ * @returns {string} Module URL
+ */
+const componentPath = (name) => `${window.hlx?.codeBasePath || ''}/blocks/${name}/${name}.js`;
+
+/**
+ * Module URL for a component element: its data-component-src when that is same-origin code
+ * under codeBasePath, else the conventional path. Anything else is refused, since markup
+ * must not be able to make the page import arbitrary scripts.
+ * @param {string} name - Component name
+ * @param {string} [src] - data-component-src value
+ * @returns {string|null} Module URL, or null when refused
+ */
+function componentSource(name, src) {
+  if (!src) return componentPath(name);
+  try {
+    const url = new URL(src, window.location.href);
+    const base = `${window.hlx?.codeBasePath || ''}/`;
+    if (url.origin === window.location.origin && url.pathname.startsWith(base)) return url.href;
+  } catch {
+    // Not a URL; refused below
+  }
+  // eslint-disable-next-line no-console
+  console.error(`refusing to load component ${name} from ${src}`);
+  return null;
+}
+
+/**
+ * Resolve a component definition, importing its module if not yet registered.
+ * The module is expected to call defineComponent(name, ...) when evaluated.
+ * @param {string} name - Component name
+ * @param {string} [src] - Module URL (defaults to /blocks/{name}/{name}.js)
+ * @returns {Promise<Object>} Component definition
+ */
+export function loadComponent(name, src = componentPath(name)) {
+  if (registry.has(name)) return Promise.resolve(registry.get(name));
+  if (!pendingDefinitions.has(name)) {
+    const pending = import(src)
+      .then(() => {
+        if (!registry.has(name)) throw new Error(`Component "${name}" not defined by ${src}`);
+        return registry.get(name);
+      })
+      .catch((error) => {
+        pendingDefinitions.delete(name);
+        throw error;
+      });
+    pendingDefinitions.set(name, pending);
+  }
+  return pendingDefinitions.get(name);
+}
+
+/**
+ * Parse props serialized into a data-props attribute
+ * @param {string} [json] - Attribute value
+ * @returns {Object} Props
+ */
+const parseProps = (json) => {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Pair nested component elements with stable keys: data-key, else name + position
+ * @param {HTMLElement[]} els - Child component elements in DOM order
+ * @returns {Array<[string, HTMLElement]>} Key/element pairs
+ */
+const keyChildren = (els) => {
+  const counts = {};
+  return els.map((el) => {
+    const name = el.dataset.component;
+    counts[name] = (counts[name] || 0) + 1;
+    return [el.dataset.key || `${name}:${counts[name]}`, el];
+  });
+};
+
 /**
  * Create component instance
  * @param {string} name - Registered component name
  * @param {HTMLElement} element - DOM element to enhance
- * @param {Object} initialProps - Initial properties
+ * @param {Object} initialProps - Initial properties (merged over element data-props)
+ * @param {Object} [options]
+ * @param {Object} [options.parent] - Parent component API (default: closest mounted ancestor)
  * @returns {Object} Component API
  */
-export function createComponent(name, element, initialProps = {}) {
+export function createComponent(name, element, initialProps = {}, options = {}) {
   const definition = registry.get(name);
   if (!definition) throw new Error(`Component "${name}" not defined`);
   if (componentInstances.has(element)) return componentInstances.get(element);
 
-  // Internal state
-  let state = { ...definition.defaultState };
-  let props = { ...initialProps };
+  // Internal state (definition.urlState keys restored from the URL)
+  const urlState = definition.urlState
+    ? createUrlState(name, element, definition.urlState, definition.defaultState)
+    : null;
+  let state = { ...definition.defaultState, ...urlState?.read() };
+  let props = { ...parseProps(element.dataset.props), ...initialProps };
   const cleanupFns = [];
+  const renderHooks = new Set();
+  let destroyed = false;
+
+  // Composition: parent link, inherited context, and child element -> { api, propsAttr }
+  const parent = options.parent
+    || componentInstances.get(element.parentElement?.closest('[data-cid]'))
+    || null;
+  const context = Object.create(parent ? parent.context : null);
+  const children = new Map();
+
+  // Direct nested [data-component] elements not owned by a deeper component
+  const childElements = () => [...element.querySelectorAll('[data-component]')]
+    .filter((el) => el.parentElement.closest('[data-cid], [data-component]') === element);
+
+  // Mount new children, pass changed props to kept ones, destroy removed ones
+  const syncChildren = (self) => {
+    const current = childElements();
+    children.forEach((child, el) => {
+      if (!current.includes(el)) {
+        child.api.destroy();
+        children.delete(el);
+      }
+    });
+    current.forEach((el) => {
+      const { component: childName, componentSrc, props: propsAttr = '' } = el.dataset;
+      const existing = children.get(el);
+      if (existing) {
+        if (existing.propsAttr !== propsAttr) {
+          existing.propsAttr = propsAttr;
+          existing.api.setProps(parseProps(propsAttr));
+        }
+        return;
+      }
+      if (registry.has(childName)) {
+        children.set(el, {
+          api: createComponent(childName, el, {}, { parent: self }),
+          propsAttr,
+        });
+        return;
+      }
+      const src = componentSource(childName, componentSrc);
+      if (!src) return;
+      loadComponent(childName, src)
+        .then(() => {
+          if (!destroyed) syncChildren(self);
+        })
+        .catch((error) => {
+          // eslint-disable-next-line no-console
+          console.error(`failed to load component ${childName}`, error);
+        });
+    });
+  };
 
-  // Generate unique scope for event delegation
-  const cid = Math.random().toString(36).slice(2, 9);
-  element.dataset.cid = cid;
-  const scope = `[data-cid="${cid}"]`;
+  // innerHTML mode: swap freshly rendered child placeholders for the live child elements
+  const replaceChildren = (html) => {
+    const preserved = new Map(keyChildren(childElements()));
+    setHTML(element, html);
+    keyChildren(childElements()).forEach(([key, placeholder]) => {
+      const kept = preserved.get(key);
+      if (kept && kept.dataset.component === placeholder.dataset.component) {
+        morphAttributes(kept, placeholder);
+        placeholder.replaceWith(kept);
+      }
+    });
+  };
+
+  // Error boundary: the first caught error switches the component to definition.fallback
+  let failure = null;
+  const renderFallback = (self) => {
+    children.forEach((child) => child.api.destroy());
+    children.clear();
+    if (!definition.fallback) return;
+    try {
+      setHTML(element, definition.fallback(self, failure));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`component ${name} fallback failed`, error);
+    }
+  };
+  const guard = (self, phase, fn) => {
+    if (failure) return undefined;
+    try {
+      return fn();
+    } catch (error) {
+      failure = error;
+      reportComponentError(name, error, phase, self);
+      renderFallback(self);
+      return undefined;
+    }
+  };
+
+  // Batched rendering: state before the first pending update, and nextRender() waiters
+  let pendingPrev = null;
+  let dirty = false;
+  let renderWaiters = [];
+  const timing = definition.scheduling || 'microtask';
+
+  // Computed values (memoized on the state/props/computed keys they read, and on
+  // notifications from stores subscribed through api.subscribe) and watched keys
+  const computed = {};
+  const computedCache = new Map();
+  const watched = new Map();
+  let storeVersion = 0;
+
+  // Evaluate a computed entry, recording each value it reads for later comparison
+  const evaluate = (key, self) => {
+    const cached = computedCache.get(key);
+    if (cached && cached.deps.every(([read, value]) => read() === value)) return cached.value;
+
+    const deps = [[() => storeVersion, storeVersion]];
+    const track = (target, read) => new Proxy(target, {
+      get(obj, k) {
+        const value = read(k);
+        deps.push([() => read(k), value]);
+        return value;
+      },
+    });
+    const tracked = new Proxy(self, {
+      get(obj, prop) {
+        if (prop === 'state') return track({ ...state }, (k) => state[k]);
+        if (prop === 'props') return track({ ...props }, (k) => props[k]);
+        if (prop === 'computed') return track(computed, (k) => computed[k]);
+        return Reflect.get(obj, prop);
+      },
+    });
+
+    const value = definition.computed[key](tracked);
+    computedCache.set(key, { value, deps });
+    return value;
+  };
+
+  // Current value of a watched key: computed, then state, then props
+  const readKey = (key) => {
+    if (definition.computed?.[key]) return computed[key];
+    return key in state ? state[key] : props[key];
+  };
+
+  // Async data: definition.load(c, { signal }) result, status and in-flight request
+  let status = definition.load ? 'loading' : 'idle';
+  let data;
+  let loadError = null;
+  let loadController = null;
+
+  // Generate unique id marking the element as a mounted component root
+  element.dataset.cid = Math.random().toString(36).slice(2, 9);
 
   // Component API
   const api = {
     el: element,
+    parent,
 
     // State management
     get state() {
       return { ...state };
     },
     setState(updates) {
-      const prev = state;
+      if (!pendingPrev) pendingPrev = state;
       state = { ...state, ...(typeof updates === 'function' ? updates(state) : updates) };
-      if (definition.onStateChange) definition.onStateChange(api, state, prev);
-      this.render();
+      api.update();
     },
 
     // Props
     get props() {
       return { ...props };
     },
+    // Re-renders (and re-runs load) only when a prop value actually changed
     setProps(updates) {
-      props = { ...props, ...updates };
-      this.render();
+      const nextProps = { ...props, ...updates };
+      if (shallowEqual(props, nextProps)) return;
+      props = nextProps;
+      if (definition.load) api.reload();
+      api.update();
+    },
+
+    // Async data
+    get status() {
+      return status;
+    },
+    get data() {
+      return data;
+    },
+    get error() {
+      return loadError;
+    },
+    reload() {
+      if (!definition.load || destroyed) return Promise.resolve();
+      if (loadController) loadController.abort();
+      const controller = new AbortController();
+      loadController = controller;
+      if (status !== 'loading') {
+        status = 'loading';
+        loadError = null;
+        api.update();
+      }
+
+      return Promise.resolve()
+        .then(() => {
+          controller.signal.throwIfAborted();
+          return definition.load(api, { signal: controller.signal });
+        })
+        .then((result) => {
+          if (controller.signal.aborted) return;
+          data = result;
+          status = 'ready';
+        })
+        .catch((error) => {
+          if (controller.signal.aborted) return;
+          loadError = error;
+          status = 'error';
+        })
+        .then(() => {
+          if (controller.signal.aborted) return;
+          loadController = null;
+          api.update();
+        });
     },
 
-    // Rendering
+    // Rendering (keyed DOM patching when definition.morph is set);
+    // definition.loading / definition.error templates stand in while loading or failed
     render() {
-      if (definition.render) {
-        const html = definition.render(api);
-        if (html !== undefined) element.innerHTML = html;
+      if (failure) {
+        renderFallback(api);
+        return;
       }
+      let template = definition.render;
+      if (status === 'loading' && definition.loading) template = definition.loading;
+      if (status === 'error' && definition.error) template = definition.error;
+      guard(api, 'render', () => {
+        if (template) {
+          const result = template(api);
+          if (result === undefined) return;
+          // Templates may return strings or html`` results
+          const html = String(result);
+          if (definition.morph) morph(element, html);
+          else replaceChildren(html);
+        }
+        syncChildren(api);
+        renderHooks.forEach((fn) => fn(api));
+      });
+    },
+
+    // Run a callback after every render (e.g. to restore DOM state the template can't express)
+    onRender(fn) {
+      renderHooks.add(fn);
+      return () => renderHooks.delete(fn);
+    },
+
+    // Error caught by the boundary, if any
+    get failure() {
+      return failure;
+    },
+
+    // Nested components
+    get children() {
+      return [...children.values()].map((child) => child.api);
+    },
+
+    // Context: values provided here are readable from descendants' c.context
+    get context() {
+      return context;
+    },
+    provide(key, value) {
+      context[key] = value;
+    },
+
+    // Schedule a render - repeated calls coalesce into one per flush (no-op once destroyed)
+    update() {
+      if (destroyed) return;
+      dirty = true;
+      schedule(api.flush, timing);
+    },
+
+    // Apply pending updates now: one onStateChange and one render
+    flush() {
+      cancel(api.flush);
+      if (!dirty || destroyed) return;
+      dirty = false;
+      const prev = pendingPrev;
+      pendingPrev = null;
+      if (prev && definition.onStateChange) {
+        guard(api, 'onStateChange', () => definition.onStateChange(api, state, prev));
+      }
+      watched.forEach((last, key) => guard(api, 'watch', () => {
+        const next = readKey(key);
+        if (next === last) return;
+        watched.set(key, next);
+        definition.watch[key].call(api, next, last, api);
+      }));
+      if (prev && urlState) urlState.write(state);
+      api.render();
+      const waiters = renderWaiters;
+      renderWaiters = [];
+      waiters.forEach((resolve) => resolve());
+    },
+
+    // Resolves once pending updates have rendered
+    nextRender() {
+      if (!dirty || destroyed) return Promise.resolve();
+      return new Promise((resolve) => {
+        renderWaiters.push(resolve);
+      });
     },
 
     // Scoped event binding (auto-cleanup on destroy)
-    on(event, selector, handler) {
-      const unsub = events.on(event, `${scope} ${selector}`, handler);
+    on(event, selector, handler, opts) {
+      const unsub = events.on(
+        event,
+        selector,
+        (e, el) => guard(api, 'handler', () => handler(e, el)),
+        { ...opts, within: element },
+      );
       cleanupFns.push(unsub);
       return unsub;
     },
 
     // Keyboard + click activation
-    onActivate(selector, handler) {
-      api.on('click', selector, handler);
-      api.on('keydown', selector, (e, el) => {
+    onActivate(selector, handler, opts) {
+      const offClick = api.on('click', selector, handler, opts);
+      const offKeydown = api.on('keydown', selector, (e, el) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
           handler(e, el);
         }
-      });
+      }, opts);
+      return () => {
+        offClick();
+        offKeydown();
+      };
     },
 
-    // Store subscription (auto-cleanup)
-    subscribe(store, handler) {
-      const unsub = store.subscribe(handler);
+    // Derived values from definition.computed
+    get computed() {
+      return computed;
+    },
+
+    // Store subscription (auto-cleanup). With a selector, subscribe(store, selector,
+    // handler, { equals }), the handler runs only when the selected slice changes
+    subscribe(store, selector, handler, selectOptions) {
+      const listener = handler || selector;
+      const notify = (...args) => {
+        storeVersion += 1;
+        guard(api, 'subscribe', () => listener(...args));
+      };
+      const unsub = handler
+        ? store.select(selector, notify, selectOptions)
+        : store.subscribe(notify);
       cleanupFns.push(unsub);
       return unsub;
     },
@@ -101,6 +511,11 @@ export function createComponent(name, element, initialProps = {}) {
       cleanupFns.push(fn);
     },
 
+    // Roving tabindex + arrow-key navigation over items in a container
+    rovingFocus(containerSelector, itemSelector, opts) {
+      return rovingFocus(api, containerSelector, itemSelector, opts);
+    },
+
     // Emit custom event
     emit(eventName, detail) {
       element.dispatchEvent(
@@ -120,9 +535,23 @@ export function createComponent(name, element, initialProps = {}) {
       return [...element.querySelectorAll(selector)];
     },
 
-    // Destroy instance
+    // Destroy instance (children first)
     destroy() {
-      if (definition.destroy) definition.destroy(api);
+      if (destroyed) return;
+      destroyed = true;
+      children.forEach((child) => child.api.destroy());
+      children.clear();
+      cancel(api.flush);
+      if (loadController) loadController.abort();
+      renderWaiters.forEach((resolve) => resolve());
+      renderWaiters = [];
+      if (definition.destroy) {
+        try {
+          definition.destroy(api);
+        } catch (error) {
+          reportComponentError(name, error, 'destroy', api);
+        }
+      }
       cleanupFns.forEach((fn) => fn());
       cleanupFns.length = 0;
       componentInstances.delete(element);
@@ -130,30 +559,150 @@ export function createComponent(name, element, initialProps = {}) {
     },
   };
 
+  Object.keys(definition.computed || {}).forEach((key) => {
+    Object.defineProperty(computed, key, { enumerable: true, get: () => evaluate(key, api) });
+  });
+
   // Lifecycle: setup
-  if (definition.setup) definition.setup(api);
+  if (definition.setup) guard(api, 'setup', () => definition.setup(api));
+
+  // Back/forward navigation restores URL-bound state
+  if (urlState) cleanupFns.push(urlState.listen((values) => api.setState(values)));
+
+  // Watchers fire on changes after setup
+  Object.keys(definition.watch || {}).forEach((key) => {
+    guard(api, 'watch', () => watched.set(key, readKey(key)));
+  });
+
+  // Lifecycle: load (resolves after the initial render)
+  if (definition.load) api.reload();
 
   // Initial render
   api.render();
 
   // Lifecycle: mounted
-  if (definition.mounted) definition.mounted(api);
+  if (definition.mounted) guard(api, 'mounted', () => definition.mounted(api));
 
   componentInstances.set(element, api);
   return api;
 }
 
 /**
- * Auto-initialize components by data attribute
- * @param {Element} root - Root element to search within
+ * Call back once the element's load trigger fires
+ * @param {HTMLElement} el - Component element
+ * @param {'visible'|'idle'|'interaction'|'eager'} trigger - Load trigger
+ * @param {Function} callback - Called once
+ * @returns {Function} Cancel function
  */
-export function initComponents(root = document) {
-  root.querySelectorAll('[data-component]').forEach((el) => {
-    const name = el.dataset.component;
-    if (!componentInstances.has(el) && registry.has(name)) {
-      createComponent(name, el);
+function whenTriggered(el, trigger, callback) {
+  if (trigger === 'eager') {
+    callback();
+    return () => {};
+  }
+
+  if (trigger === 'idle') {
+    const requestIdle = window.requestIdleCallback || setTimeout;
+    const cancelIdle = window.cancelIdleCallback || clearTimeout;
+    const id = requestIdle(callback);
+    return () => cancelIdle(id);
+  }
+
+  if (trigger === 'interaction') {
+    const types = ['pointerover', 'focusin', 'touchstart'];
+    const onInteract = () => {
+      types.forEach((type) => el.removeEventListener(type, onInteract));
+      callback();
+    };
+    types.forEach((type) => el.addEventListener(type, onInteract, { passive: true }));
+    return () => types.forEach((type) => el.removeEventListener(type, onInteract));
+  }
+
+  if (!('IntersectionObserver' in window)) {
+    callback();
+    return () => {};
+  }
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) {
+      observer.disconnect();
+      callback();
     }
+  }, { rootMargin: '200px' });
+  observer.observe(el);
+  return () => observer.disconnect();
+}
+
+/**
+ * Defer loading and mounting an unregistered component until its trigger fires
+ * (`data-load="visible|idle|interaction|eager"`, default visible)
+ * @param {HTMLElement} el - Component element
+ */
+function mountLazy(el) {
+  if (lazyMounts.has(el)) return;
+  const { component: name, componentSrc, load = 'visible' } = el.dataset;
+  const src = componentSource(name, componentSrc);
+  if (!src) return;
+
+  let fired = false;
+  const cancelTrigger = whenTriggered(el, load, () => {
+    fired = true;
+    lazyMounts.delete(el);
+    loadComponent(name, src)
+      .then(() => {
+        if (el.isConnected && !componentInstances.has(el)) createComponent(name, el);
+      })
+      .catch((error) => {
+        // eslint-disable-next-line no-console
+        console.error(`failed to load component ${name}`, error);
+      });
   });
+  if (!fired) lazyMounts.set(el, cancelTrigger);
+}
+
+// Elements to tear down: declared components (possibly still pending a lazy mount) and
+// every mounted root, including blocks mounted by createComponent() in decorate()
+const TEARDOWN_SELECTOR = '[data-component], [data-cid]';
+
+/**
+ * Component elements within root, including root itself
+ * @param {Element|Document} root - Root node
+ * @param {string} [selector] - Which elements count
+ * @returns {HTMLElement[]} Matching elements
+ */
+const componentElements = (root, selector = '[data-component]') => [
+  ...(root.matches?.(selector) ? [root] : []),
+  ...root.querySelectorAll(selector),
+];
+
+/**
+ * Mount a single [data-component] element
+ */
+function mountElement(el, { lazy = false } = {}) {
+  const name = el.dataset.component;
+  if (componentInstances.has(el)) return;
+  if (registry.has(name)) createComponent(name, el);
+  else if (lazy) mountLazy(el);
+}
+
+/**
+ * Destroy a single mounted component element, or cancel its pending lazy mount
+ */
+function destroyElement(el) {
+  const instance = componentInstances.get(el);
+  if (instance) instance.destroy();
+  if (lazyMounts.has(el)) {
+    lazyMounts.get(el)();
+    lazyMounts.delete(el);
+  }
+}
+
+/**
+ * Auto-initialize components by data attribute
+ * @param {Element} root - Root element to search within
+ * @param {Object} [options]
+ * @param {boolean} [options.lazy] - Import unregistered definitions on demand
+ */
+export function initComponents(root = document, options = {}) {
+  root.querySelectorAll('[data-component]').forEach((el) => mountElement(el, options));
 }
 
 /**
@@ -161,8 +710,30 @@ export function initComponents(root = document) {
  * @param {Element} root - Root element
  */
 export function destroyComponents(root = document) {
-  root.querySelectorAll('[data-component]').forEach((el) => {
-    const instance = componentInstances.get(el);
-    if (instance) instance.destroy();
+  root.querySelectorAll(TEARDOWN_SELECTOR).forEach(destroyElement);
+}
+
+/**
+ * Mount components as they are attached under root and destroy them once detached,
+ * so injected fragments initialize and removed elements release their subscriptions
+ * @param {Element} root - Subtree to observe
+ * @param {Object} [options] - Same options as initComponents
+ * @returns {Function} Disconnect function
+ */
+export function observeComponents(root = document.body, options = {}) {
+  const observer = new MutationObserver((records) => {
+    // Removals first - nodes moved within one batch are still connected and keep their instance
+    records.forEach(({ removedNodes }) => removedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+        componentElements(node, TEARDOWN_SELECTOR).forEach(destroyElement);
+      }
+    }));
+    records.forEach(({ addedNodes }) => addedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+        componentElements(node).forEach((el) => mountElement(el, options));
+      }
+    }));
   });
+  observer.observe(root, { childList: true, subtree: true });
+  return () => observer.disconnect();
 }
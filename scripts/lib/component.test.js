@@ -0,0 +1,108 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import {
+  defineComponent, createComponent, initComponents, destroyComponents, observeComponents,
+} from './component.js';
+
+afterEach(() => {
+  document.body.replaceChildren();
+  vi.restoreAllMocks();
+});
+
+describe('data-component-src', () => {
+  it.each([
+    'https://evil.example/x.js',
+    '//evil.example/x.js',
+    'data:text/javascript,alert(1)',
+  ])('refuses to import %s', (src) => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.innerHTML = `<div data-component="remote" data-load="eager"
+      data-component-src="${src}"></div>`;
+    initComponents(document.body, { lazy: true });
+    expect(error).toHaveBeenCalledWith(`refusing to load component remote from ${src}`);
+  });
+});
+
+describe('teardown', () => {
+  const destroy = vi.fn();
+  defineComponent('teardown-test', { destroy, render: () => '<p>mounted</p>' });
+
+  // A block mounted from decorate(): no data-component attribute
+  const mountBlock = (parent = document.body) => {
+    const block = document.createElement('div');
+    block.className = 'teardown-test block';
+    parent.append(block);
+    return createComponent('teardown-test', block);
+  };
+
+  it('destroys block-mounted components removed under observeComponents', async () => {
+    destroy.mockClear();
+    const disconnect = observeComponents(document.body);
+    const section = document.createElement('div');
+    document.body.append(section);
+    const c = mountBlock(section);
+    section.remove();
+    await new Promise((resolve) => { setTimeout(resolve); });
+    disconnect();
+    expect(destroy).toHaveBeenCalledTimes(1);
+    expect(c.el.dataset.cid).toBeUndefined();
+  });
+
+  it('destroys block-mounted components with destroyComponents', () => {
+    destroy.mockClear();
+    const c = mountBlock();
+    destroyComponents(document.body);
+    expect(destroy).toHaveBeenCalledTimes(1);
+    expect(c.el.dataset.cid).toBeUndefined();
+  });
+});
+
+describe('after destroy', () => {
+  it('ignores reload, update and flush', async () => {
+    const load = vi.fn(async () => 'data');
+    const render = vi.fn(() => '<p>rendered</p>');
+    defineComponent('destroyed-test', { load, render });
+    const el = document.createElement('div');
+    document.body.append(el);
+    const c = createComponent('destroyed-test', el);
+    await c.reload();
+    c.flush();
+    load.mockClear();
+    render.mockClear();
+
+    c.destroy();
+    await c.reload();
+    c.update();
+    c.flush();
+    await c.nextRender();
+    expect(load).not.toHaveBeenCalled();
+    expect(render).not.toHaveBeenCalled();
+  });
+});
+
+describe('setProps', () => {
+  it('reloads only when a prop value changed', async () => {
+    const load = vi.fn(async (c) => c.props.query);
+    defineComponent('props-test', { load, render: () => '' });
+    const el = document.createElement('div');
+    document.body.append(el);
+    const c = createComponent('props-test', el, { query: 'red' });
+    await c.reload();
+    load.mockClear();
+
+    c.setProps({ query: 'red' });
+    c.setProps({});
+    expect(load).not.toHaveBeenCalled();
+    expect(c.status).toBe('ready');
+
+    c.setProps({ query: 'blue' });
+    await Promise.resolve();
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(c.props.query).toBe('blue');
+  });
+});
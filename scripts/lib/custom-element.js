@@ -0,0 +1,144 @@
+/**
+ * Behr EDS Framework - Custom Element Bridge
+ * @fileoverview Exposes defineComponent components as native custom elements
+ */
+
+import { createComponent, loadComponent } from './component.js';
+import { toCamelCase } from '../aem.js';
+
+const sheets = new Map();
+
+/**
+ * Load a stylesheet once as a constructable sheet, shared by every shadow root
+ * @param {string} href - Stylesheet URL
+ * @returns {Promise<CSSStyleSheet>} Stylesheet
+ */
+function loadSheet(href) {
+  if (!sheets.has(href)) {
+    sheets.set(href, fetch(href)
+      .then((resp) => (resp.ok ? resp.text() : ''))
+      .then((css) => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        return sheet;
+      })
+      .catch((error) => {
+        // Let the next shadow root retry rather than reuse the failure
+        sheets.delete(href);
+        throw error;
+      }));
+  }
+  return sheets.get(href);
+}
+
+/**
+ * Apply stylesheets to a shadow root (link elements where adoption is unsupported)
+ * @param {ShadowRoot} root - Shadow root
+ * @param {string[]} hrefs - Stylesheet URLs
+ */
+async function adoptStyles(root, hrefs) {
+  if ('adoptedStyleSheets' in root && 'replaceSync' in CSSStyleSheet.prototype) {
+    root.adoptedStyleSheets = await Promise.all(hrefs.map(loadSheet));
+    return;
+  }
+  root.prepend(...hrefs.map((href) => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    return link;
+  }));
+}
+
+/**
+ * Register a component as a custom element.
+ * Observed attributes map onto setProps (camelCased), api.emit events bubble from the
+ * element, and connecting/disconnecting the element creates/destroys the component.
+ * @param {string} name - Component name (definition is imported on demand)
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Element name (default behr-{name})
+ * @param {string[]} [options.attributes] - Attributes forwarded as props
+ * @param {boolean} [options.shadow] - Render into an open shadow root
+ * @param {string[]} [options.styles] - Stylesheets adopted by the shadow root
+ *   (default global styles + the block's CSS)
+ * @returns {CustomElementConstructor} Element class
+ */
+export default function defineElement(name, options = {}) {
+  const {
+    tag = `behr-${name}`,
+    attributes = [],
+    shadow = false,
+  } = options;
+  if (customElements.get(tag)) return customElements.get(tag);
+
+  const base = window.hlx?.codeBasePath || '';
+  const styles = options.styles || [`${base}/styles/styles.css`, `${base}/blocks/${name}/${name}.css`];
+
+  class ComponentElement extends HTMLElement {
+    static get observedAttributes() {
+      return attributes;
+    }
+
+    // Component API of the mounted instance
+    get component() {
+      return this.instance || null;
+    }
+
+    connectedCallback() {
+      loadComponent(name)
+        .then(() => {
+          if (this.isConnected && !this.instance) this.mount();
+        })
+        .catch((error) => {
+          // eslint-disable-next-line no-console
+          console.error(`failed to load component ${name}`, error);
+        });
+    }
+
+    disconnectedCallback() {
+      // Moves within the document reconnect before the microtask runs
+      queueMicrotask(() => {
+        if (this.isConnected || !this.instance) return;
+        this.instance.destroy();
+        this.instance = null;
+      });
+    }
+
+    attributeChangedCallback(attr, oldValue, value) {
+      if (this.instance && oldValue !== value) {
+        this.instance.setProps({ [toCamelCase(attr)]: value });
+      }
+    }
+
+    mount() {
+      const props = Object.fromEntries(attributes
+        .filter((attr) => this.hasAttribute(attr))
+        .map((attr) => [toCamelCase(attr), this.getAttribute(attr)]));
+
+      let target = this;
+      if (shadow) {
+        if (!this.shadowRoot) {
+          this.attachShadow({ mode: 'open' });
+          adoptStyles(this.shadowRoot, styles).catch((error) => {
+            // eslint-disable-next-line no-console
+            console.error(`failed to load styles for ${tag}`, error);
+          });
+          this.container = document.createElement('div');
+          this.container.append(...this.childNodes);
+          this.shadowRoot.append(this.container);
+        }
+        target = this.container;
+      }
+      target.classList.add(name);
+
+      // Keep the authored content so a re-mount after disconnect parses the same input
+      const clone = (node) => node.cloneNode(true);
+      if (!this.authored) this.authored = [...target.childNodes].map(clone);
+      else target.replaceChildren(...this.authored.map(clone));
+
+      this.instance = createComponent(name, target, props);
+    }
+  }
+
+  customElements.define(tag, ComponentElement);
+  return ComponentElement;
+}
@@ -0,0 +1,33 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { bench, describe } from 'vitest';
+import events from './events.js';
+
+// Many component roots, each with its own scoped handlers: dispatch should only visit the
+// handlers of roots on the event's path, however many roots exist
+const ROOTS = 500;
+const HANDLERS_PER_ROOT = 4;
+
+document.body.innerHTML = Array.from({ length: ROOTS }, (_, i) => `<section class="root" id="root-${i}">
+  <ul><li><button type="button" class="item">Item ${i}</button></li></ul>
+</section>`).join('');
+
+const noop = () => {};
+[...document.querySelectorAll('.root')].forEach((root) => {
+  for (let i = 0; i < HANDLERS_PER_ROOT; i += 1) events.on('click', '.item', noop, { within: root });
+});
+
+const first = document.querySelector('#root-0 .item');
+const last = document.querySelector(`#root-${ROOTS - 1} .item`);
+
+describe(`click through ${ROOTS * HANDLERS_PER_ROOT} scoped handlers`, () => {
+  bench('first root', () => {
+    first.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  });
+
+  bench('last root', () => {
+    last.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  });
+});
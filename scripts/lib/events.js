@@ -3,26 +3,56 @@
  * @fileoverview Centralized event delegation system
  */
 
+// Listener defaults: passive where handlers never need preventDefault (scroll-blocking
+// input), capture for events that don't bubble up to the document
+const PASSIVE_EVENTS = new Set([
+  'scroll', 'wheel', 'touchstart', 'touchmove', 'touchend',
+  'mousemove', 'mouseover', 'mouseout', 'pointermove', 'pointerover', 'pointerout',
+]);
+const CAPTURE_EVENTS = new Set([
+  'focus', 'blur', 'focusin', 'focusout', 'scroll', 'load', 'error', 'invalid', 'toggle',
+  'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'play', 'pause', 'ended',
+]);
+
+/**
+ * Elements an event passes through, from its target up to the root.
+ * Non-bubbling events (focus, scroll, load, error, mouseenter...) are only heard at the
+ * document through capture; they concern their target alone, never its ancestors.
+ * composedPath() reaches inside open shadow roots (custom element components).
+ * @param {Event} event - Native event
+ * @returns {Element[]} Connected elements in dispatch order
+ */
+function propagationPath(event) {
+  const path = event.composedPath?.() || [];
+  const origin = path[0] || event.target;
+  if (origin?.nodeType !== Node.ELEMENT_NODE || !origin.isConnected) return [];
+  if (!event.bubbles) return [origin];
+  if (path.length) return path.filter((node) => node.nodeType === Node.ELEMENT_NODE);
+
+  const nodes = [];
+  for (let node = origin; node; node = node.parentElement) nodes.push(node);
+  return nodes;
+}
+
 class EventBus {
   constructor() {
     this.handlers = new Map();
-    this.bound = false;
+    this.listening = new Set();
+    this.seq = 0;
   }
 
   /**
-   * Initialize global listeners
+   * Attach the document listener for an event type on first use
+   * (native or custom, e.g. events emitted by components)
+   * @param {string} type - Event type
    */
-  init() {
-    if (this.bound) return;
-
-    ['click', 'change', 'input', 'submit', 'keydown', 'focusin', 'focusout'].forEach((type) => {
-      document.addEventListener(type, (e) => this.dispatch(type, e), {
-        passive: type !== 'submit',
-        capture: type === 'focusin' || type === 'focusout',
-      });
+  listen(type) {
+    if (this.listening.has(type)) return;
+    document.addEventListener(type, (e) => this.dispatch(type, e), {
+      passive: PASSIVE_EVENTS.has(type),
+      capture: CAPTURE_EVENTS.has(type),
     });
-
-    this.bound = true;
+    this.listening.add(type);
   }
 
   /**
@@ -30,44 +60,110 @@ class EventBus {
    * @param {string} event - Event type
    * @param {string} selector - CSS selector to match
    * @param {Function} handler - (event, matchedElement) => void
+   * @param {Object} [options]
+   * @param {boolean} [options.once] - Remove after the first call
+   * @param {AbortSignal} [options.signal] - Remove when aborted
+   * @param {Element} [options.within] - Only match descendants of this element; scoped
+   *   handlers are indexed by element, so dispatch only visits those on the event's path
    * @returns {Function} Unsubscribe function
    */
-  on(event, selector, handler) {
-    this.init();
-    const key = `${event}::${selector}`;
-    if (!this.handlers.has(key)) this.handlers.set(key, new Set());
-    this.handlers.get(key).add(handler);
-    return () => this.handlers.get(key)?.delete(handler);
+  on(event, selector, handler, options = {}) {
+    const { once = false, signal, within } = options;
+    if (signal?.aborted) return () => {};
+
+    this.listen(event);
+    if (!this.handlers.has(event)) this.handlers.set(event, { global: [], scoped: new WeakMap() });
+    const index = this.handlers.get(event);
+    if (within && !index.scoped.has(within)) index.scoped.set(within, []);
+    const entries = within ? index.scoped.get(within) : index.global;
+
+    this.seq += 1;
+    const entry = {
+      selector, handler, once, within, seq: this.seq,
+    };
+    entries.push(entry);
+
+    const off = () => {
+      entry.removed = true;
+      const i = entries.indexOf(entry);
+      if (i !== -1) entries.splice(i, 1);
+      if (within && !entries.length) index.scoped.delete(within);
+      signal?.removeEventListener('abort', off);
+    };
+    entry.off = off;
+    signal?.addEventListener('abort', off);
+    return off;
   }
 
   /**
-   * Dispatch event to matching handlers
+   * Dispatch event to matching handlers, walking from the target up to the root.
+   * At each element, handlers run in registration order; stopPropagation() ends the
+   * walk after the current element, stopImmediatePropagation() ends it at once.
    */
   dispatch(type, event) {
-    this.handlers.forEach((handlers, key) => {
-      const [eventType, selector] = key.split('::');
-      if (eventType !== type) return;
+    const index = this.handlers.get(type);
+    if (!index) return;
 
-      const target = event.target.closest(selector);
-      if (target && document.body.contains(target)) {
-        handlers.forEach((fn) => fn(event, target));
-      }
+    const nodes = propagationPath(event);
+    const candidates = [...index.global];
+    nodes.forEach((node) => {
+      const scoped = index.scoped.get(node);
+      if (scoped) candidates.push(...scoped);
     });
+    if (!nodes.length || !candidates.length) return;
+    candidates.sort((a, b) => a.seq - b.seq);
+
+    let stopped = false;
+    let stoppedImmediately = false;
+    const { stopPropagation, stopImmediatePropagation } = event;
+    event.stopPropagation = () => {
+      stopped = true;
+      stopPropagation.call(event);
+    };
+    event.stopImmediatePropagation = () => {
+      stopped = true;
+      stoppedImmediately = true;
+      stopImmediatePropagation.call(event);
+    };
+
+    try {
+      // Candidates are a snapshot: handlers added while dispatching apply from the next event
+      nodes.some((node) => {
+        candidates.some((entry) => {
+          if (entry.removed) return false;
+          if (entry.within && (entry.within === node || !entry.within.contains(node))) return false;
+          if (!node.matches(entry.selector)) return false;
+          if (entry.once) entry.off();
+          entry.handler(event, node);
+          return stoppedImmediately;
+        });
+        return stopped;
+      });
+    } finally {
+      delete event.stopPropagation;
+      delete event.stopImmediatePropagation;
+    }
   }
 
   /**
    * Handle both click and keyboard activation (Enter/Space)
    * @param {string} selector - CSS selector
    * @param {Function} handler - Handler function
+   * @param {Object} [options] - Same options as on()
+   * @returns {Function} Unsubscribe function
    */
-  onActivate(selector, handler) {
-    this.on('click', selector, handler);
-    this.on('keydown', selector, (e, el) => {
+  onActivate(selector, handler, options) {
+    const offClick = this.on('click', selector, handler, options);
+    const offKeydown = this.on('keydown', selector, (e, el) => {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         handler(e, el);
       }
-    });
+    }, options);
+    return () => {
+      offClick();
+      offKeydown();
+    };
   }
 }
 
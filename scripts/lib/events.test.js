@@ -0,0 +1,145 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import events from './events.js';
+
+let offs = [];
+const on = (...args) => {
+  const off = events.on(...args);
+  offs.push(off);
+  return off;
+};
+
+afterEach(() => {
+  offs.forEach((off) => off());
+  offs = [];
+  document.body.replaceChildren();
+});
+
+// <div class="outer"><div class="inner"><button class="target"></button></div></div>
+const tree = (prefix) => {
+  document.body.innerHTML = `<div class="${prefix}-outer">
+    <div class="${prefix}-inner"><button type="button" class="${prefix}-target"></button></div>
+  </div>`;
+  return document.querySelector(`.${prefix}-target`);
+};
+
+const click = (el) => el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+describe('events.on', () => {
+  it('walks from the target up, in registration order at each element', () => {
+    const target = tree('order');
+    const calls = [];
+    on('click', '.order-outer', () => calls.push('outer'));
+    on('click', '.order-inner', () => calls.push('inner 1'));
+    on('click', '.order-target', () => calls.push('target'));
+    on('click', '.order-inner', () => calls.push('inner 2'));
+    click(target);
+    expect(calls).toEqual(['target', 'inner 1', 'inner 2', 'outer']);
+  });
+
+  it('passes the matched element', () => {
+    const target = tree('matched');
+    const handler = vi.fn();
+    on('click', '.matched-inner', handler);
+    click(target);
+    expect(handler.mock.calls[0][1]).toBe(document.querySelector('.matched-inner'));
+  });
+
+  it('stopPropagation() finishes the current element and skips ancestors', () => {
+    const target = tree('stop');
+    const calls = [];
+    on('click', '.stop-inner', (e) => {
+      calls.push('inner 1');
+      e.stopPropagation();
+    });
+    on('click', '.stop-inner', () => calls.push('inner 2'));
+    on('click', '.stop-outer', () => calls.push('outer'));
+    click(target);
+    expect(calls).toEqual(['inner 1', 'inner 2']);
+  });
+
+  it('stopImmediatePropagation() ends dispatch at once', () => {
+    const target = tree('immediate');
+    const calls = [];
+    on('click', '.immediate-inner', (e) => {
+      calls.push('inner 1');
+      e.stopImmediatePropagation();
+    });
+    on('click', '.immediate-inner', () => calls.push('inner 2'));
+    on('click', '.immediate-outer', () => calls.push('outer'));
+    click(target);
+    expect(calls).toEqual(['inner 1']);
+  });
+
+  it('removes once handlers after the first call', () => {
+    const target = tree('once');
+    const handler = vi.fn();
+    on('click', '.once-target', handler, { once: true });
+    click(target);
+    click(target);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('removes handlers when their signal aborts', () => {
+    const target = tree('signal');
+    const controller = new AbortController();
+    const handler = vi.fn();
+    on('click', '.signal-target', handler, { signal: controller.signal });
+    click(target);
+    controller.abort();
+    click(target);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    const late = vi.fn();
+    on('click', '.signal-target', late, { signal: controller.signal });
+    click(target);
+    expect(late).not.toHaveBeenCalled();
+  });
+
+  it('matches only descendants of `within`, never the root itself', () => {
+    const target = tree('within');
+    const root = document.querySelector('.within-inner');
+    const handler = vi.fn();
+    on('click', 'div, button', handler, { within: root });
+    click(root);
+    expect(handler).not.toHaveBeenCalled();
+    click(target);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][1]).toBe(target);
+  });
+
+  it('keeps non-bubbling events on their target', () => {
+    document.body.innerHTML = '<div class="card"><img class="photo" alt=""></div>'
+      + '<div class="panel"><div class="scroller"></div></div>';
+    const card = vi.fn();
+    const photo = vi.fn();
+    const panel = vi.fn();
+    on('error', '.card', card);
+    on('error', '.photo', photo);
+    on('scroll', '.panel', panel);
+    document.querySelector('.photo').dispatchEvent(new Event('error'));
+    document.querySelector('.scroller').dispatchEvent(new Event('scroll'));
+    expect(photo).toHaveBeenCalledTimes(1);
+    expect(card).not.toHaveBeenCalled();
+    expect(panel).not.toHaveBeenCalled();
+
+    document.querySelector('.panel').dispatchEvent(new Event('scroll'));
+    expect(panel).toHaveBeenCalledTimes(1);
+  });
+
+  it('handles Enter and Space through onActivate', () => {
+    const target = tree('activate');
+    const handler = vi.fn();
+    offs.push(events.onActivate('.activate-target', handler));
+    click(target);
+    target.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    target.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true }));
+    target.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', bubbles: true }));
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Behr EDS Framework - Form Control Bindings
+ * @fileoverview Delegated live behaviour for form atoms (character counters, range outputs)
+ */
+
+import events from './events.js';
+import { debounce } from './utils.js';
+
+let bound = false;
+
+/**
+ * Counter wording, shared by the textarea atom and the live binding
+ * @param {number} remaining - Characters left
+ * @returns {string} Counter text
+ */
+export const counterText = (remaining) => (remaining === 1
+  ? '1 character remaining'
+  : `${remaining} characters remaining`);
+
+/**
+ * Listen (once, document-wide) for input on counted textareas and bound ranges.
+ * Atoms call this when they render a control that needs it.
+ */
+export function bindFormControls() {
+  if (bound) return;
+  bound = true;
+
+  // Screen readers hear the count once typing pauses, not on every keystroke
+  const announce = debounce((status, message) => {
+    status.textContent = message;
+  }, 500);
+
+  events.on('input', 'textarea[maxlength][data-counter]', (e, el) => {
+    const counter = el.getRootNode().getElementById(`${el.id}-counter`);
+    if (!counter) return;
+    const message = counterText(el.maxLength - el.value.length);
+    counter.querySelector('.form-counter-visual').textContent = message;
+    announce(counter.querySelector('.form-counter-status'), message);
+  });
+
+  events.on('input', 'input[type="range"][data-output]', (e, el) => {
+    const output = el.getRootNode().getElementById(`${el.id}-output`);
+    const valueText = `${el.value}${el.dataset.unit || ''}`;
+    if (output) output.value = valueText;
+    el.setAttribute('aria-valuetext', valueText);
+  });
+}
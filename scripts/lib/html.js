@@ -0,0 +1,242 @@
+/**
+ * Behr EDS Framework - Safe HTML Templates
+ * @fileoverview `html` tagged template that escapes interpolations by context
+ */
+
+import { esc, attrs } from './utils.js';
+
+/**
+ * Markup that is already safe to insert (output of html`` or unsafeHTML())
+ */
+export class SafeHTML {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark trusted markup to be inserted without escaping - use ONLY for trusted content
+ * @param {string} markup - Trusted HTML
+ * @returns {SafeHTML} Markup html`` inserts verbatim
+ */
+export const unsafeHTML = (markup) => new SafeHTML(markup == null ? '' : String(markup));
+
+export const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href']);
+export const SAFE_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+/**
+ * Neutralize URLs with scripting schemes (javascript:, data:, vbscript:, ...)
+ * @param {string} url - URL or path
+ * @param {string[]} [schemes] - Allowed schemes (relative URLs are always allowed)
+ * @returns {string} The URL, or '#' when its scheme is not allowed
+ */
+export const safeUrl = (url, schemes = SAFE_SCHEMES) => {
+  const value = String(url ?? '').trim();
+  // Browsers ignore tabs/newlines and leading control characters inside schemes
+  // eslint-disable-next-line no-control-regex
+  const scheme = value.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme && !schemes.includes(scheme[1].toLowerCase())) return '#';
+  return value;
+};
+
+// Parser states between template chunks
+const TEXT = 0;
+const TAG_OPEN = 1;
+const TAG_NAME = 2;
+const TAG = 3;
+const ATTR_NAME = 4;
+const AFTER_EQUALS = 5;
+const UNQUOTED = 6;
+const DOUBLE_QUOTED = 7;
+const SINGLE_QUOTED = 8;
+const COMMENT = 9;
+
+const isSpace = (ch) => ch === ' ' || ch === '\n' || ch === '\t' || ch === '\r' || ch === '\f';
+
+/**
+ * Work out the context of every interpolation in a template
+ * @param {string[]} strings - Template chunks
+ * @returns {Array<{ state: number, attr: string, valueStart: boolean }>} One entry per hole
+ */
+function analyze(strings) {
+  let state = TEXT;
+  let attr = '';
+  let valueStart = false;
+  const holes = [];
+
+  strings.forEach((chunk, index) => {
+    for (let i = 0; i < chunk.length; i += 1) {
+      const ch = chunk[i];
+      // Leading whitespace is stripped from URLs, so the value starts at the first other char
+      if ((state === DOUBLE_QUOTED || state === SINGLE_QUOTED) && !isSpace(ch)) valueStart = false;
+      switch (state) {
+        case TEXT:
+          if (ch === '<') state = TAG_OPEN;
+          break;
+        case TAG_OPEN:
+          if (chunk.startsWith('!--', i)) {
+            state = COMMENT;
+            i += 2;
+          } else if (ch === '/' || /[a-z]/i.test(ch)) state = TAG_NAME;
+          else state = TEXT;
+          break;
+        case TAG_NAME:
+          if (ch === '>') state = TEXT;
+          else if (isSpace(ch)) state = TAG;
+          break;
+        case TAG:
+          if (ch === '>') state = TEXT;
+          else if (!isSpace(ch) && ch !== '/') {
+            state = ATTR_NAME;
+            attr = ch;
+          }
+          break;
+        case ATTR_NAME:
+          if (ch === '=') state = AFTER_EQUALS;
+          else if (ch === '>') state = TEXT;
+          else if (isSpace(ch)) state = TAG;
+          else attr += ch;
+          break;
+        case AFTER_EQUALS:
+          if (ch === '"' || ch === '\'') {
+            state = ch === '"' ? DOUBLE_QUOTED : SINGLE_QUOTED;
+            valueStart = true;
+          } else if (ch === '>') state = TEXT;
+          else if (!isSpace(ch)) state = UNQUOTED;
+          break;
+        case UNQUOTED:
+          if (ch === '>') state = TEXT;
+          else if (isSpace(ch)) state = TAG;
+          break;
+        case DOUBLE_QUOTED:
+          if (ch === '"') state = TAG;
+          break;
+        case SINGLE_QUOTED:
+          if (ch === '\'') state = TAG;
+          break;
+        case COMMENT:
+          if (chunk.startsWith('-->', i)) {
+            state = TEXT;
+            i += 2;
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (index < strings.length - 1) {
+      holes.push({ state, attr: attr.toLowerCase(), valueStart });
+      // An interpolated tag name or unquoted value leaves the parser inside the tag
+      if (state === TAG_OPEN) state = TAG_NAME;
+      else if (state === AFTER_EQUALS) state = TAG;
+    }
+  });
+
+  return holes;
+}
+
+const cache = new WeakMap();
+
+/**
+ * Text content: safe markup verbatim, arrays item by item, everything else escaped
+ */
+const textValue = (value) => {
+  if (value == null || value === false) return '';
+  if (value instanceof SafeHTML) return value.value;
+  if (Array.isArray(value)) return value.map(textValue).join('');
+  return esc(value);
+};
+
+// A plain CSS value (no new declarations, quotes, escapes or resource loads)
+const STYLE_VALUE = /^[\w\s#%.,+\-*/()!]*$/;
+const STYLE_FUNCTION = /\b(url|expression|image|image-set)\s*\(/i;
+
+/**
+ * Attribute value: always escaped; URL attributes lose scripting schemes, style takes
+ * plain CSS values only, and event handlers take nothing (entities are decoded before
+ * the handler runs, so escaping can't keep a value out of the script)
+ */
+const attrValue = (value, hole) => {
+  if (value == null || value === false || hole.attr.startsWith('on')) return '';
+  const text = Array.isArray(value) ? value.filter(Boolean).join(' ') : String(value);
+  if (hole.attr === 'style') {
+    return STYLE_VALUE.test(text) && !STYLE_FUNCTION.test(text) ? esc(text) : '';
+  }
+  return esc(URL_ATTRIBUTES.has(hole.attr) && hole.valueStart ? safeUrl(text) : text);
+};
+
+/**
+ * Attribute list inside a tag: objects via attrs() (event handlers dropped, URL attributes
+ * checked like quoted ones), bare attribute names, or safe markup
+ */
+const tagValue = (value) => {
+  if (value == null || value === false || value === '') return '';
+  if (value instanceof SafeHTML) return value.value;
+  if (Array.isArray(value)) return value.map(tagValue).join(' ');
+  if (typeof value === 'object') {
+    const props = Object.entries(value)
+      .filter(([k]) => !/^on/i.test(k))
+      .map(([k, v]) => [
+        k,
+        URL_ATTRIBUTES.has(k.toLowerCase()) && v != null && typeof v !== 'boolean' ? safeUrl(v) : v,
+      ]);
+    return attrs(Object.fromEntries(props));
+  }
+  const names = String(value).trim();
+  return /^([a-z][\w:-]*\s*)+$/i.test(names) && !/(^|\s)on/i.test(names) ? names : '';
+};
+
+/**
+ * Tag or attribute name fragment
+ */
+const nameValue = (value) => {
+  const name = String(value ?? '');
+  return /^[a-z][\w:-]*$/i.test(name) ? name : '';
+};
+
+/**
+ * Tagged template that escapes each interpolation for where it appears:
+ * text is HTML-escaped, attribute values are quoted-escaped (URL attributes also drop
+ * javascript:/data: schemes, style only takes plain CSS values, on* handlers take nothing),
+ * objects inside a tag become attributes, and arrays are joined.
+ * Nested html`` results and unsafeHTML() markup are inserted verbatim.
+ * @example html`<a href="${url}" ${{ 'aria-current': current && 'page' }}>${label}</a>`
+ * @returns {SafeHTML} Markup (coerces to string)
+ */
+export function html(strings, ...values) {
+  if (!cache.has(strings)) cache.set(strings, analyze(strings));
+  const holes = cache.get(strings);
+
+  let out = strings[0];
+  values.forEach((value, i) => {
+    const hole = holes[i];
+    switch (hole.state) {
+      case TAG_OPEN:
+      case TAG_NAME:
+      case ATTR_NAME:
+        out += nameValue(value);
+        break;
+      case TAG:
+        out += tagValue(value);
+        break;
+      case AFTER_EQUALS:
+        out += `"${attrValue(value, { ...hole, valueStart: true })}"`;
+        break;
+      case UNQUOTED:
+      case DOUBLE_QUOTED:
+      case SINGLE_QUOTED:
+        out += attrValue(value, hole);
+        break;
+      default:
+        out += textValue(value);
+    }
+    out += strings[i + 1];
+  });
+
+  return new SafeHTML(out);
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { html } from './html.js';
+
+// eslint-disable-next-line no-script-url
+const JS = 'javascript:alert(1)';
+
+describe('html URL attributes', () => {
+  it('neutralizes scripting URLs in quoted and unquoted values', () => {
+    expect(String(html`<a href="${JS}">x</a>`)).toBe('<a href="#">x</a>');
+    expect(String(html`<a href=${JS}>x</a>`)).toBe('<a href="#">x</a>');
+    expect(String(html`<a href="https://example.com/${JS}">x</a>`))
+      .toBe('<a href="https://example.com/javascript:alert(1)">x</a>');
+  });
+
+  it('treats a value after literal leading whitespace as the start of the URL', () => {
+    expect(String(html`<a href=" ${JS}">x</a>`)).toBe('<a href=" #">x</a>');
+    expect(String(html`<img src='\n\t${JS}'>`)).toBe('<img src=\'\n\t#\'>');
+  });
+
+  it('neutralizes scripting URLs passed as attribute objects', () => {
+    expect(String(html`<a ${{ href: JS, title: JS }}>x</a>`))
+      .toBe('<a href="#" title="javascript:alert(1)">x</a>');
+    expect(String(html`<form ${{ ACTION: ' data:text/html,x' }}></form>`))
+      .toBe('<form ACTION="#"></form>');
+    expect(String(html`<a ${{ href: '/colors', onclick: 'x()' }}>x</a>`))
+      .toBe('<a href="/colors">x</a>');
+  });
+});
+
+describe('html script and style attributes', () => {
+  it('refuses interpolations inside event handler attributes', () => {
+    const x = '\');alert(1);//';
+    expect(String(html`<button onclick="track('${x}')">x</button>`))
+      .toBe('<button onclick="track(\'\')">x</button>');
+    expect(String(html`<img onerror=${x}>`)).toBe('<img onerror="">');
+    expect(String(html`<a ONMOUSEOVER='${'go()'}'>x</a>`)).toBe('<a ONMOUSEOVER=\'\'>x</a>');
+  });
+
+  it('keeps plain CSS values in style and drops anything that adds rules or loads', () => {
+    expect(String(html`<i style="--swatch-color: ${'#ff0000'}"></i>`))
+      .toBe('<i style="--swatch-color: #ff0000"></i>');
+    expect(String(html`<i style="width: ${'calc(100% - 2rem)'}"></i>`))
+      .toBe('<i style="width: calc(100% - 2rem)"></i>');
+    expect(String(html`<i style="color: ${'red;background:url(//evil)'}"></i>`))
+      .toBe('<i style="color: "></i>');
+    expect(String(html`<i style="background: ${'URL (//evil)'}"></i>`))
+      .toBe('<i style="background: "></i>');
+    expect(String(html`<i style="color: ${'red" onmouseover="x()'}"></i>`))
+      .toBe('<i style="color: "></i>');
+  });
+});
@@ -5,9 +5,19 @@
 
 // Utils
 export {
-  esc, cx, attrs, uid, debounce,
+  esc, cx, attrs, uid, debounce, shallowEqual,
 } from './utils.js';
 
+// Templates
+export {
+  html, unsafeHTML, safeUrl, SafeHTML,
+} from './html.js';
+export { default as sanitizeHTML } from './sanitize.js';
+// trustedHTML() stays internal: the pass-through policy must only see framework markup
+export {
+  setHTML, trustedScriptURL, pageNonce, onTrustedTypesViolation,
+} from './trusted-types.js';
+
 // Atoms
 export {
   heading,
@@ -22,15 +32,26 @@ export {
   small,
   caption,
   richText,
+  highlight,
   button,
   link,
   buttonLink,
   input,
   select,
+  textarea,
+  checkbox,
+  toggle,
+  radioGroup,
+  range,
+  fieldset,
+  legend,
+  combobox,
   stack,
   cluster,
   card,
   container,
+  dialog,
+  component,
   colorSwatch,
   icon,
 } from './atoms.js';
@@ -38,7 +59,32 @@ export {
 // Events
 export { default as events } from './events.js';
 
+// Forms
+export { defineValidator, validateValue, validateFields } from './validation.js';
+
+// Feedback
+export { default as toast } from './toast.js';
+
+// Rendering
+export { default as morph } from './morph.js';
+export { flushSync } from './scheduler.js';
+
+// Disclosure widgets (tabs, accordion)
+export {
+  parsePanels, panelIndexForHash, loadPanelBlocks, scrollToHash,
+} from './panels.js';
+
+// Accessibility
+export { default as rovingFocus } from './roving-focus.js';
+
 // Components
 export {
-  defineComponent, createComponent, initComponents, destroyComponents,
+  defineComponent,
+  createComponent,
+  loadComponent,
+  initComponents,
+  destroyComponents,
+  observeComponents,
+  onComponentError,
 } from './component.js';
+export { default as defineElement } from './custom-element.js';
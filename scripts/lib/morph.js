@@ -0,0 +1,171 @@
+/**
+ * Behr EDS Framework - DOM Morphing
+ * @fileoverview Keyed reconciliation of rendered HTML into a live element
+ */
+
+import { setHTML } from './trusted-types.js';
+
+const ELEMENT_NODE = 1;
+
+/**
+ * Identity key for a node - `data-key` attribute, if any
+ * @param {Node} node - Node to inspect
+ * @returns {string|null} Key or null for unkeyed nodes
+ */
+const keyOf = (node) => (node.nodeType === ELEMENT_NODE ? node.getAttribute('data-key') : null);
+
+/**
+ * Whether two nodes can be patched in place
+ */
+const isSameNode = (a, b) => a.nodeType === b.nodeType
+  && a.nodeName === b.nodeName
+  && keyOf(a) === keyOf(b)
+  && (a.nodeType !== ELEMENT_NODE
+    || a.getAttribute('data-component') === b.getAttribute('data-component'));
+
+/**
+ * Sync attributes from next onto current (a mounted component's data-cid is kept)
+ * @param {Element} current - Live element
+ * @param {Element} next - Element holding the desired attributes
+ */
+export function morphAttributes(current, next) {
+  [...current.attributes].forEach(({ name }) => {
+    if (!next.hasAttribute(name) && name !== 'data-cid') current.removeAttribute(name);
+  });
+  [...next.attributes].forEach(({ name, value }) => {
+    if (current.getAttribute(name) !== value) current.setAttribute(name, value);
+  });
+}
+
+/**
+ * Sync live form state, which attributes alone don't reflect once the user has interacted
+ */
+function morphFormState(current, next) {
+  if (current.nodeName === 'INPUT') {
+    if (current.checked !== next.checked) current.checked = next.checked;
+    if (next.getAttribute('value') !== current.getAttribute('value')) current.value = next.value;
+  } else if (current.nodeName === 'TEXTAREA') {
+    if (next.value !== current.defaultValue) current.value = next.value;
+  } else if (current.nodeName === 'OPTION') {
+    if (current.selected !== next.selected) current.selected = next.selected;
+  }
+}
+
+/**
+ * Patch a single node in place
+ */
+function morphNode(current, next) {
+  if (current.nodeType !== ELEMENT_NODE) {
+    if (current.nodeValue !== next.nodeValue) current.nodeValue = next.nodeValue;
+    return;
+  }
+  // A nested component, or content marked data-morph-ignore once rendered, owns its subtree
+  const owned = current.hasAttribute('data-cid') || current.hasAttribute('data-morph-ignore');
+  morphFormState(current, next);
+  morphAttributes(current, next);
+  // eslint-disable-next-line no-use-before-define
+  if (!owned) morphChildren(current, next);
+}
+
+/**
+ * Indexes of the longest increasing run within a sequence (not necessarily contiguous)
+ * @param {number[]} sequence - Numbers to scan
+ * @returns {Set<number>} Positions in sequence that belong to the run
+ */
+function longestIncreasing(sequence) {
+  const tails = [];
+  const previous = [];
+  sequence.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1; // eslint-disable-line no-bitwise
+      if (sequence[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const run = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) run.add(i);
+  return run;
+}
+
+/**
+ * Reconcile the child list of current against next.
+ * Keyed children are matched by `data-key`; only those out of order are moved, the rest
+ * keep their place (and with it focus, scroll and animations).
+ * Unkeyed children are matched by position.
+ * @param {Node} current - Live parent
+ * @param {Node} next - Parent holding the desired children
+ */
+function morphChildren(current, next) {
+  const keyed = new Map();
+  [...current.childNodes].forEach((node, index) => {
+    const key = keyOf(node);
+    if (key != null) keyed.set(key, { node, index });
+  });
+
+  // Pair keyed children up front so stale ones can go before anything moves
+  const nextChildren = [...next.childNodes];
+  const matches = new Map();
+  nextChildren.forEach((nextChild) => {
+    const key = keyOf(nextChild);
+    const candidate = key != null && keyed.get(key);
+    if (candidate && isSameNode(candidate.node, nextChild)) matches.set(nextChild, candidate);
+    if (candidate) keyed.delete(key);
+  });
+  keyed.forEach(({ node }) => current.removeChild(node));
+
+  // Matched nodes already in relative order stay put; only the others are moved
+  const paired = [...matches.values()];
+  const inOrder = longestIncreasing(paired.map(({ index }) => index));
+  const stable = new Set(paired.filter((pair, i) => inOrder.has(i)).map(({ node }) => node));
+  const moving = new Set(paired.map(({ node }) => node).filter((node) => !stable.has(node)));
+
+  let cursor = current.firstChild;
+  nextChildren.forEach((nextChild) => {
+    let match = matches.get(nextChild)?.node || null;
+    if (!match && keyOf(nextChild) == null && cursor && isSameNode(cursor, nextChild)) {
+      match = cursor;
+    }
+
+    if (stable.has(match)) {
+      // Nodes before it are either moved further on later or have no place here
+      while (cursor !== match) {
+        const skipped = cursor;
+        cursor = cursor.nextSibling;
+        if (!moving.has(skipped)) current.removeChild(skipped);
+      }
+    }
+
+    if (match) {
+      if (match === cursor) cursor = cursor.nextSibling;
+      else current.insertBefore(match, cursor);
+      morphNode(match, nextChild);
+    } else {
+      current.insertBefore(nextChild, cursor);
+    }
+  });
+
+  while (cursor) {
+    const stale = cursor;
+    cursor = cursor.nextSibling;
+    current.removeChild(stale);
+  }
+}
+
+/**
+ * Morph an element's children to match an HTML string, touching only what changed.
+ * Focus, scroll position and running animations survive on preserved nodes.
+ * Children of a `data-morph-ignore` element are left alone after its first render
+ * (e.g. panels whose nested blocks were decorated in place).
+ * @param {HTMLElement} element - Element whose children are patched
+ * @param {string} html - Desired inner HTML
+ */
+export default function morph(element, html) {
+  const template = document.createElement('template');
+  setHTML(template, html);
+  morphChildren(element, template.content);
+}
@@ -0,0 +1,94 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import {
+  describe, it, expect, afterEach,
+} from 'vitest';
+import morph from './morph.js';
+
+const list = (keys) => keys.map((key) => `
+  <button data-key="${key}">${key}</button>`).join('');
+
+const mount = (keys) => {
+  const root = document.createElement('div');
+  root.innerHTML = list(keys);
+  document.body.append(root);
+  return root;
+};
+
+const byKey = (root) => Object.fromEntries([...root.querySelectorAll('[data-key]')]
+  .map((node) => [node.dataset.key, node]));
+
+// Nodes the morph removed or re-inserted (a keyed move shows up as both)
+const record = (root, fn) => {
+  const observer = new MutationObserver(() => {});
+  observer.observe(root, { childList: true });
+  fn();
+  const touched = observer.takeRecords()
+    .flatMap((entry) => [...entry.addedNodes, ...entry.removedNodes])
+    .filter((node) => node.nodeType === 1);
+  observer.disconnect();
+  return touched.map((node) => node.dataset.key);
+};
+
+afterEach(() => {
+  document.body.replaceChildren();
+});
+
+describe('morph keyed children', () => {
+  it('removes a keyed item without touching its later siblings', () => {
+    const root = mount(['a', 'b', 'c', 'd']);
+    const before = byKey(root);
+    before.c.focus();
+
+    const touched = record(root, () => morph(root, list(['a', 'c', 'd'])));
+
+    expect(touched).toEqual(['b']);
+    expect(byKey(root)).toEqual({ a: before.a, c: before.c, d: before.d });
+    expect(document.activeElement).toBe(before.c);
+    expect(root.textContent.replace(/\s+/g, '')).toBe('acd');
+  });
+
+  it.each([
+    [['d', 'a', 'b', 'c'], 'd'],
+    [['b', 'c', 'd', 'a'], 'a'],
+    [['a', 'c', 'b', 'd'], 'c'],
+  ])('reorders to %j by moving only %s', (order, moved) => {
+    const root = mount(['a', 'b', 'c', 'd']);
+    const before = byKey(root);
+    const still = order.find((key) => key !== moved);
+    before[still].focus();
+
+    const touched = record(root, () => morph(root, list(order)));
+
+    expect(new Set(touched)).toEqual(new Set([moved]));
+    expect([...root.querySelectorAll('[data-key]')]).toEqual(order.map((key) => before[key]));
+    expect(document.activeElement).toBe(before[still]);
+  });
+
+  it('handles removal, insertion and reorder together', () => {
+    const root = mount(['a', 'b', 'c', 'd', 'e']);
+    const before = byKey(root);
+
+    morph(root, list(['e', 'c', 'x', 'a']));
+
+    const after = byKey(root);
+    expect(Object.keys(after)).toEqual(['e', 'c', 'x', 'a']);
+    expect(after.e).toBe(before.e);
+    expect(after.c).toBe(before.c);
+    expect(after.a).toBe(before.a);
+    expect(root.innerHTML).toBe(list(['e', 'c', 'x', 'a']));
+  });
+
+  it('replaces a keyed node whose tag changed', () => {
+    const root = mount(['a', 'b']);
+    const before = byKey(root);
+
+    morph(root, `${list(['a'])}<p data-key="b">b</p>`);
+
+    expect(byKey(root).a).toBe(before.a);
+    expect(root.querySelector('[data-key="b"]').nodeName).toBe('P');
+    expect(root.querySelectorAll('[data-key]')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Behr EDS Framework - Panels
+ * @fileoverview Shared authoring helpers for disclosure widgets (tabs, accordion)
+ */
+
+import { toClassName, decorateBlock, loadBlock } from '../aem.js';
+
+/**
+ * Parse authored block rows (label cell + content cell) into panels
+ * @param {HTMLElement} block - Block element
+ * @returns {Array<{ id: string, label: string, content: string, anchors: string[] }>} Panels
+ */
+export function parsePanels(block) {
+  // Ids double as deep-link hashes, so they must be unique on the page
+  const taken = new Set();
+  const uniqueId = (base) => {
+    let id = base;
+    for (let n = 2; taken.has(id) || document.getElementById(id); n += 1) id = `${base}-${n}`;
+    taken.add(id);
+    return id;
+  };
+
+  return [...block.querySelectorAll(':scope > div')].map((row, index) => {
+    const [labelCell, contentCell] = row.querySelectorAll(':scope > div');
+    const label = labelCell?.textContent.trim() || `Panel ${index + 1}`;
+    return {
+      id: uniqueId(toClassName(label) || `panel-${index + 1}`),
+      label,
+      content: contentCell?.innerHTML ?? '',
+      anchors: [...(contentCell?.querySelectorAll('[id]') ?? [])].map((el) => el.id),
+    };
+  });
+}
+
+/**
+ * Panel the location hash points at - the panel itself or an element inside it
+ * @param {Array} panels - Parsed panels
+ * @param {string} [hash] - Location hash
+ * @returns {number} Panel index, or -1
+ */
+export function panelIndexForHash(panels, hash = window.location.hash) {
+  if (!hash || hash === '#') return -1;
+  let id;
+  try {
+    id = decodeURIComponent(hash.slice(1));
+  } catch {
+    return -1;
+  }
+  return panels.findIndex((panel) => panel.id === id || panel.anchors.includes(id));
+}
+
+/**
+ * Scroll the hash target into view (after its panel has been shown)
+ */
+export function scrollToHash() {
+  const { hash } = window.location;
+  if (!hash || hash === '#') return;
+  try {
+    document.getElementById(decodeURIComponent(hash.slice(1)))?.scrollIntoView();
+  } catch {
+    // Malformed hash - nothing to scroll to
+  }
+}
+
+/**
+ * Decorate and load blocks authored inside a panel the first time it is shown
+ * (direct children with a class that are not decorated yet)
+ * @param {HTMLElement} container - Panel content element
+ * @returns {Promise} Resolves when the nested blocks are loaded
+ */
+export function loadPanelBlocks(container) {
+  const blocks = [...container.querySelectorAll(':scope > div[class]:not(.block)')]
+    .filter((el) => !el.querySelector(':scope > .block'));
+  blocks.forEach((block) => {
+    // Blocks expect a wrapper parent, as in a section
+    const wrapper = document.createElement('div');
+    block.replaceWith(wrapper);
+    wrapper.append(block);
+    decorateBlock(block);
+  });
+  return Promise.all(blocks.map(loadBlock));
+}
@@ -0,0 +1,133 @@
+/**
+ * Behr EDS Framework - Roving Focus
+ * @fileoverview Single tab stop + arrow-key navigation for item collections (e.g. swatch grids)
+ */
+
+const NAV_KEYS = new Set(['ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp', 'Home', 'End', 'PageDown', 'PageUp']);
+
+/**
+ * Number of items in the first rendered row
+ * @param {HTMLElement[]} items - Items in DOM order
+ * @returns {number} Column count
+ */
+function columnCount(items) {
+  const top = Math.round(items[0].getBoundingClientRect().top);
+  const firstWrapped = items.findIndex((el) => Math.round(el.getBoundingClientRect().top) !== top);
+  return firstWrapped === -1 ? items.length : firstWrapped;
+}
+
+/**
+ * Make one item of a collection tabbable and move focus between items with the keyboard:
+ * arrows follow the rendered grid columns, Home/End go to the row start/end (with Ctrl:
+ * first/last item), PageUp/PageDown jump several rows, and typing jumps to a matching label.
+ * The active item is remembered by data-key (else data-id, else position) across re-renders.
+ * @param {Object} c - Component API
+ * @param {string} containerSelector - Collection container, within the component
+ * @param {string} itemSelector - Items, within the container
+ * @param {Object} [options]
+ * @param {number} [options.pageRows] - Rows moved by PageUp/PageDown
+ * @param {number} [options.typeaheadTimeout] - ms before the type-ahead buffer resets
+ * @param {Function} [options.label] - (item) => text matched by type-ahead
+ * @returns {{ sync: Function, focus: Function }} Controller
+ */
+export default function rovingFocus(c, containerSelector, itemSelector, options = {}) {
+  const {
+    pageRows = 3,
+    typeaheadTimeout = 500,
+    label = (el) => el.dataset.name || el.textContent.trim(),
+  } = options;
+  const selector = `${containerSelector} ${itemSelector}`;
+
+  let activeKey = null;
+  let lastFocused = null;
+  let buffer = '';
+  let bufferTimer;
+
+  const items = () => c.$$(selector);
+  const keyOf = (el, index) => el.dataset.key ?? el.dataset.id ?? String(index);
+
+  // Apply tabindex, restoring focus if a re-render replaced the focused item
+  const sync = () => {
+    const list = items();
+    if (!list.length) return;
+    let index = list.findIndex((el, i) => keyOf(el, i) === activeKey);
+    if (index === -1) index = 0;
+    activeKey = keyOf(list[index], index);
+    list.forEach((el, i) => el.setAttribute('tabindex', i === index ? '0' : '-1'));
+
+    const focusLost = !document.activeElement || document.activeElement === document.body;
+    if (lastFocused && !lastFocused.isConnected && focusLost) {
+      lastFocused = list[index];
+      list[index].focus();
+    }
+  };
+
+  const focus = (index) => {
+    const list = items();
+    const el = list[index];
+    if (!el) return;
+    activeKey = keyOf(el, index);
+    list.forEach((item) => item.setAttribute('tabindex', item === el ? '0' : '-1'));
+    lastFocused = el;
+    el.focus();
+  };
+
+  // Next item whose label starts with the typed text (repeating one letter cycles matches)
+  const typeahead = (list, index, char) => {
+    clearTimeout(bufferTimer);
+    buffer += char.toLowerCase();
+    bufferTimer = setTimeout(() => {
+      buffer = '';
+    }, typeaheadTimeout);
+
+    const search = [...buffer].every((ch) => ch === buffer[0]) ? buffer[0] : buffer;
+    const start = search.length === 1 ? index + 1 : index;
+    for (let i = 0; i < list.length; i += 1) {
+      const candidate = (start + i) % list.length;
+      if (label(list[candidate]).toLowerCase().startsWith(search)) return candidate;
+    }
+    return -1;
+  };
+
+  c.on('keydown', selector, (e, el) => {
+    if (e.altKey || e.metaKey) return;
+    const list = items();
+    const index = list.indexOf(el);
+    const last = list.length - 1;
+    const cols = columnCount(list);
+    const rowStart = index - (index % cols);
+
+    let next = -1;
+    if (NAV_KEYS.has(e.key)) {
+      next = {
+        ArrowRight: Math.min(index + 1, last),
+        ArrowLeft: Math.max(index - 1, 0),
+        ArrowDown: index + cols <= last ? index + cols : index,
+        ArrowUp: index - cols >= 0 ? index - cols : index,
+        Home: e.ctrlKey ? 0 : rowStart,
+        End: e.ctrlKey ? last : Math.min(rowStart + cols - 1, last),
+        PageDown: Math.min(index + cols * pageRows, last),
+        PageUp: Math.max(index - cols * pageRows, 0),
+      }[e.key];
+    } else if (e.key.length === 1 && e.key !== ' ' && !e.ctrlKey) {
+      next = typeahead(list, index, e.key);
+    }
+    if (next === -1) return;
+
+    e.preventDefault();
+    focus(next);
+  });
+
+  c.on('focusin', selector, (e, el) => {
+    const list = items();
+    activeKey = keyOf(el, list.indexOf(el));
+    lastFocused = el;
+    list.forEach((item) => item.setAttribute('tabindex', item === el ? '0' : '-1'));
+  });
+
+  c.onRender(sync);
+  c.onDestroy(() => clearTimeout(bufferTimer));
+  sync();
+
+  return { sync, focus };
+}
@@ -0,0 +1,117 @@
+/**
+ * Behr EDS Framework - HTML Sanitizer
+ * @fileoverview Allow-list sanitizer for authored or fetched markup (DOMParser, no dependencies)
+ */
+
+import { URL_ATTRIBUTES, SAFE_SCHEMES, safeUrl } from './html.js';
+import { trustedHTML } from './trusted-types.js';
+
+export const DEFAULT_TAGS = [
+  'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col',
+  'colgroup', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main',
+  'mark', 'nav', 'ol', 'p', 'picture', 'pre', 'q', 's', 'section', 'small', 'source', 'span',
+  'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr',
+  'u', 'ul',
+];
+
+// '*' applies to every tag; a trailing * matches an attribute prefix.
+// data-* attributes are opt-in: pass e.g. { '*': [...DEFAULT_ATTRIBUTES['*'], 'data-*'] }
+export const DEFAULT_ATTRIBUTES = {
+  '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-*'],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+  source: ['srcset', 'sizes', 'type', 'media', 'width', 'height'],
+  ol: ['start', 'reversed'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  col: ['span'],
+  colgroup: ['span'],
+  time: ['datetime'],
+  details: ['open'],
+  blockquote: ['cite'],
+  q: ['cite'],
+};
+
+// Framework hooks that mount components or load code; never kept, even when allowed
+const RESERVED_ATTRIBUTE = /^data-(component|props$|cid$|load$|block-)/;
+
+// Removed with their content rather than unwrapped
+const DROP_TAGS = new Set([
+  'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'svg', 'math', 'textarea', 'select', 'title',
+]);
+
+/**
+ * Whether an attribute name is covered by an allow-list
+ */
+const matches = (allowed, name) => allowed.some((entry) => (
+  entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : entry === name
+));
+
+/**
+ * Whether every URL in an attribute value uses an allowed scheme
+ */
+const isSafeUrlValue = (name, value, schemes) => {
+  const urls = name === 'srcset'
+    ? value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0])
+    : [value];
+  return urls.every((url) => safeUrl(url, schemes) !== '#' || url.trim() === '#');
+};
+
+/**
+ * Sanitize markup against an allow-list.
+ * Disallowed elements are unwrapped (their text is kept), except scripting/embedding
+ * elements which are removed entirely. Event handler attributes, attributes outside the
+ * allow-list, framework hooks (data-component, data-props, ...) and URLs with disallowed
+ * schemes (javascript:, data:, ...) are dropped.
+ * @param {string} markup - Untrusted HTML
+ * @param {Object} [options]
+ * @param {string[]} [options.tags] - Allowed tag names
+ * @param {Object<string, string[]>} [options.attributes] - Allowed attributes per tag ('*' = all)
+ * @param {string[]} [options.schemes] - Allowed URL schemes, e.g. 'https:'
+ * @returns {string} Sanitized HTML
+ */
+export default function sanitizeHTML(markup, options = {}) {
+  const {
+    tags = DEFAULT_TAGS,
+    attributes = DEFAULT_ATTRIBUTES,
+    schemes = SAFE_SCHEMES,
+  } = options;
+  const allowedTags = new Set(tags.map((tag) => tag.toLowerCase()));
+
+  const cleanAttributes = (el) => {
+    const allowed = [...(attributes['*'] || []), ...(attributes[el.localName] || [])];
+    [...el.attributes].forEach(({ name, value }) => {
+      const keep = !name.startsWith('on')
+        && !RESERVED_ATTRIBUTE.test(name)
+        && matches(allowed, name)
+        && (!(URL_ATTRIBUTES.has(name) || name === 'srcset') || isSafeUrlValue(name, value, schemes));
+      if (!keep) el.removeAttribute(name);
+    });
+    // New browsing contexts must not get a handle on this window
+    if (el.getAttribute('target') === '_blank') {
+      const rel = new Set((el.getAttribute('rel') || '').split(/\s+/).filter(Boolean));
+      rel.add('noopener');
+      el.setAttribute('rel', [...rel].join(' '));
+    }
+  };
+
+  const clean = (parent) => {
+    [...parent.childNodes].forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE || DROP_TAGS.has(node.localName)) {
+        node.remove();
+        return;
+      }
+      clean(node);
+      if (allowedTags.has(node.localName)) cleanAttributes(node);
+      else node.replaceWith(...node.childNodes);
+    });
+  };
+
+  // Parsing into an inert document runs no scripts; the result is cleaned before use
+  const doc = new DOMParser().parseFromString(trustedHTML(markup), 'text/html');
+  clean(doc.body);
+  return doc.body.innerHTML;
+}
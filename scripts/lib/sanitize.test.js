@@ -0,0 +1,93 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from 'vitest';
+import sanitizeHTML, { DEFAULT_ATTRIBUTES } from './sanitize.js';
+import { richText } from './atoms.js';
+
+// Parse sanitized output back into elements for assertions
+const parse = (markup) => {
+  const template = document.createElement('template');
+  template.innerHTML = markup;
+  return template.content;
+};
+
+describe('sanitizeHTML', () => {
+  it('strips event handler attributes', () => {
+    const out = parse(sanitizeHTML('<p onclick="alert(1)" onmouseover="x()" class="lead">Hi</p>'));
+    const p = out.querySelector('p');
+    expect(p.getAttributeNames()).toEqual(['class']);
+    expect(p.textContent).toBe('Hi');
+  });
+
+  it('drops javascript: and data: URLs but keeps safe ones', () => {
+    const out = parse(sanitizeHTML([
+      '<a id="js" href="javascript:alert(1)">a</a>',
+      '<a id="js-ws" href=" JaVaScRiPt:alert(1)">b</a>',
+      '<a id="data" href="data:text/html,<script>alert(1)</script>">c</a>',
+      '<a id="ok" href="https://example.com/page">d</a>',
+      '<a id="rel" href="/colors">e</a>',
+      '<img id="img" src="data:image/svg+xml,<svg onload=alert(1)>">',
+    ].join('')));
+    expect(out.querySelector('#js').hasAttribute('href')).toBe(false);
+    expect(out.querySelector('#js-ws').hasAttribute('href')).toBe(false);
+    expect(out.querySelector('#data').hasAttribute('href')).toBe(false);
+    expect(out.querySelector('#img').hasAttribute('src')).toBe(false);
+    expect(out.querySelector('#ok').getAttribute('href')).toBe('https://example.com/page');
+    expect(out.querySelector('#rel').getAttribute('href')).toBe('/colors');
+  });
+
+  it('checks every srcset candidate', () => {
+    const unsafe = parse(sanitizeHTML('<img srcset="/a.jpg 1x, javascript:alert(1) 2x">'));
+    expect(unsafe.querySelector('img').hasAttribute('srcset')).toBe(false);
+
+    const safe = parse(sanitizeHTML('<img srcset="/a.jpg 480w, https://cdn.example/b.jpg 960w">'));
+    expect(safe.querySelector('img').getAttribute('srcset'))
+      .toBe('/a.jpg 480w, https://cdn.example/b.jpg 960w');
+  });
+
+  it('unwraps unknown tags but drops scripting tags with their content', () => {
+    const out = sanitizeHTML('<custom-tag><b>kept</b></custom-tag><script>alert(1)</script>'
+      + '<style>body{}</style><svg><text>gone</text></svg><iframe src="/x"></iframe>');
+    expect(out).toBe('<b>kept</b>');
+  });
+
+  it('adds noopener to links opening a new window', () => {
+    const out = parse(sanitizeHTML('<a href="/x" target="_blank" rel="external">x</a>'));
+    expect(out.querySelector('a').getAttribute('rel')).toBe('external noopener');
+  });
+
+  it('drops data attributes unless the caller allows them', () => {
+    const markup = '<div data-color="#fff">x</div>';
+    expect(sanitizeHTML(markup)).toBe('<div>x</div>');
+
+    const attributes = { ...DEFAULT_ATTRIBUTES, '*': [...DEFAULT_ATTRIBUTES['*'], 'data-*'] };
+    expect(sanitizeHTML(markup, { attributes })).toBe(markup);
+  });
+
+  it('never keeps component hooks, even when data-* is allowed', () => {
+    const attributes = { ...DEFAULT_ATTRIBUTES, '*': [...DEFAULT_ATTRIBUTES['*'], 'data-*'] };
+    const out = sanitizeHTML(
+      '<div data-component="x" data-component-src="https://evil.example/x.js" '
+        + 'data-props=\'{"a":1}\' data-load="visible" data-block-name="x" data-ok="1">y</div>',
+      { attributes },
+    );
+    expect(out).toBe('<div data-ok="1">y</div>');
+  });
+});
+
+describe('richText', () => {
+  const markup = '<p onclick="steal()">Hi<script>alert(1)</script></p>';
+
+  it('sanitizes markup by default', () => {
+    const out = String(richText(markup));
+    expect(out).not.toContain('onclick');
+    expect(out).not.toContain('<script>');
+    expect(out).toContain('<p>Hi</p>');
+  });
+
+  it('inserts markup verbatim with trusted: true', () => {
+    expect(String(richText(markup, { trusted: true }))).toContain(markup);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Behr EDS Framework - Update Scheduler
+ * @fileoverview Coalesces repeated jobs into a single run per microtask or animation frame
+ */
+
+const microtaskQueue = new Set();
+const frameQueue = new Set();
+let microtaskPending = false;
+let frameId = null;
+
+/**
+ * Run and drain a queue (jobs queued while running land in the next pass)
+ */
+function run(queue) {
+  const jobs = [...queue];
+  queue.clear();
+  jobs.forEach((job) => job());
+}
+
+/**
+ * Queue a job - the same job function runs at most once per flush
+ * @param {Function} job - Work to run
+ * @param {'microtask'|'frame'} timing - When to flush
+ */
+export function schedule(job, timing = 'microtask') {
+  if (timing === 'frame' && typeof requestAnimationFrame === 'function') {
+    frameQueue.add(job);
+    if (frameId === null) {
+      frameId = requestAnimationFrame(() => {
+        frameId = null;
+        run(frameQueue);
+      });
+    }
+    return;
+  }
+
+  microtaskQueue.add(job);
+  if (!microtaskPending) {
+    microtaskPending = true;
+    queueMicrotask(() => {
+      microtaskPending = false;
+      run(microtaskQueue);
+    });
+  }
+}
+
+/**
+ * Remove a queued job
+ * @param {Function} job - Job passed to schedule()
+ */
+export function cancel(job) {
+  microtaskQueue.delete(job);
+  frameQueue.delete(job);
+}
+
+/**
+ * Run fn, then flush every queued job synchronously
+ * @param {Function} [fn] - Updates to apply before flushing
+ * @returns {*} Return value of fn
+ */
+export function flushSync(fn) {
+  const result = fn ? fn() : undefined;
+  while (microtaskQueue.size || frameQueue.size) {
+    run(microtaskQueue);
+    run(frameQueue);
+  }
+  return result;
+}
@@ -0,0 +1,206 @@
+/**
+ * Behr EDS Framework - Toasts
+ * @fileoverview Global toast service: queued, stacked, announced via aria-live regions
+ */
+
+import { html } from './html.js';
+import { setHTML } from './trusted-types.js';
+import { uid } from './utils.js';
+
+// Warnings and errors interrupt screen readers; everything else waits its turn
+const ASSERTIVE_TYPES = new Set(['warning', 'error']);
+
+/**
+ * Toast service
+ */
+class ToastService {
+  constructor() {
+    this.visible = [];
+    this.queue = [];
+    this.maxVisible = 3;
+    this.hovered = false;
+    this.focused = false;
+    this.region = null;
+  }
+
+  get paused() {
+    return this.hovered || this.focused;
+  }
+
+  /**
+   * Create the live regions. Called early (loadLazy) so they are in the
+   * accessibility tree before the first message; show() calls it as well.
+   */
+  mount() {
+    if (this.region?.isConnected) return;
+    this.region = document.createElement('section');
+    this.region.className = 'toast-region';
+    this.region.setAttribute('aria-label', 'Notifications');
+    setHTML(this.region, html`
+      <div class="toast-list" role="alert" aria-live="assertive" aria-atomic="false" data-toast-list="assertive"></div>
+      <div class="toast-list" role="status" aria-live="polite" aria-atomic="false" data-toast-list="polite"></div>
+    `);
+
+    // Pause every timer while the pointer or focus is inside the stack
+    this.region.addEventListener('mouseenter', () => this.setPaused('hovered', true));
+    this.region.addEventListener('mouseleave', () => this.setPaused('hovered', false));
+    this.region.addEventListener('focusin', () => this.setPaused('focused', true));
+    this.region.addEventListener('focusout', (e) => {
+      if (!this.region.contains(e.relatedTarget)) this.setPaused('focused', false);
+    });
+
+    this.region.addEventListener('click', (e) => {
+      const el = e.target.closest('[data-toast-id]');
+      const entry = el && this.visible.find((item) => item.id === el.dataset.toastId);
+      if (!entry) return;
+      if (e.target.closest('.toast-action')) {
+        try {
+          entry.action.onClick(e);
+        } finally {
+          this.dismiss(entry.id);
+        }
+      } else if (e.target.closest('.toast-dismiss')) {
+        this.dismiss(entry.id);
+      }
+    });
+
+    this.region.addEventListener('keydown', (e) => {
+      const el = e.key === 'Escape' && e.target.closest('[data-toast-id]');
+      if (el) this.dismiss(el.dataset.toastId);
+    });
+
+    document.body.append(this.region);
+  }
+
+  /**
+   * Show a toast (queued while maxVisible are on screen)
+   * @param {string} message - Text (escaped)
+   * @param {Object} [options]
+   * @param {'info'|'success'|'warning'|'error'} [options.type]
+   * @param {number} [options.duration] - ms on screen, 0 to stay until dismissed
+   * @param {{ label: string, onClick: Function }} [options.action] - Action button
+   * @returns {{ id: string, dismiss: Function }} Handle
+   */
+  show(message, options = {}) {
+    const { type = 'info', action } = options;
+    const entry = {
+      id: uid('toast'),
+      message,
+      type,
+      action,
+      remaining: options.duration ?? (action ? 8000 : 5000),
+      timer: null,
+      startedAt: 0,
+      el: null,
+    };
+
+    this.mount();
+    if (this.visible.length < this.maxVisible) this.display(entry);
+    else this.queue.push(entry);
+
+    return { id: entry.id, dismiss: () => this.dismiss(entry.id) };
+  }
+
+  success(message, options) {
+    return this.show(message, { ...options, type: 'success' });
+  }
+
+  info(message, options) {
+    return this.show(message, { ...options, type: 'info' });
+  }
+
+  warning(message, options) {
+    return this.show(message, { ...options, type: 'warning' });
+  }
+
+  error(message, options) {
+    return this.show(message, { ...options, type: 'error' });
+  }
+
+  /**
+   * Remove a toast (visible or queued) and cancel its timer
+   * @param {string} id - Toast id
+   */
+  dismiss(id) {
+    const queued = this.queue.findIndex((item) => item.id === id);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      return;
+    }
+
+    const index = this.visible.findIndex((item) => item.id === id);
+    if (index === -1) return;
+    const [entry] = this.visible.splice(index, 1);
+    clearTimeout(entry.timer);
+
+    // Keep keyboard users inside the stack instead of dropping focus to <body>
+    const hadFocus = entry.el.contains(document.activeElement);
+    entry.el.remove();
+    if (hadFocus) {
+      const next = this.visible[Math.min(index, this.visible.length - 1)];
+      if (next) next.el.querySelector('button').focus();
+      else this.setPaused('focused', false);
+    }
+
+    if (this.queue.length) this.display(this.queue.shift());
+  }
+
+  /**
+   * Remove every toast and empty the queue
+   */
+  clear() {
+    this.queue = [];
+    [...this.visible].forEach((entry) => this.dismiss(entry.id));
+  }
+
+  // Render an entry into its live region and start its timer
+  display(entry) {
+    const {
+      id, message, type, action,
+    } = entry;
+    const list = this.region.querySelector(
+      `[data-toast-list="${ASSERTIVE_TYPES.has(type) ? 'assertive' : 'polite'}"]`,
+    );
+    const wrapper = document.createElement('div');
+    setHTML(wrapper, html`
+      <div class="toast toast-${type}" data-toast-id="${id}">
+        <p class="toast-message">${message}</p>
+        ${action ? html`<button type="button" class="toast-action">${action.label}</button>` : ''}
+        <button type="button" class="toast-dismiss" aria-label="Dismiss notification">
+          <span aria-hidden="true">&times;</span>
+        </button>
+      </div>
+    `);
+    entry.el = wrapper.firstElementChild;
+    list.append(entry.el);
+    this.visible.push(entry);
+    this.start(entry);
+  }
+
+  start(entry) {
+    if (this.paused || !entry.remaining || entry.timer) return;
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => this.dismiss(entry.id), entry.remaining);
+  }
+
+  setPaused(reason, value) {
+    const wasPaused = this.paused;
+    this[reason] = value;
+    if (wasPaused === this.paused) return;
+
+    if (this.paused) {
+      this.visible.forEach((entry) => {
+        if (!entry.timer) return;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining = Math.max(entry.remaining - (Date.now() - entry.startedAt), 1000);
+      });
+    } else {
+      this.visible.forEach((entry) => this.start(entry));
+    }
+  }
+}
+
+const toast = new ToastService();
+
+export default toast;
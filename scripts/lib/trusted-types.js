@@ -0,0 +1,88 @@
+/**
+ * Behr EDS Framework - Trusted Types
+ * @fileoverview The single `behr` Trusted Types policy every framework HTML/script sink uses
+ */
+
+export const POLICY_NAME = 'behr';
+
+const TRUSTED_TYPES_DIRECTIVES = new Set(['require-trusted-types-for', 'trusted-types']);
+
+let policy;
+
+/**
+ * The `behr` policy, created on first use (null where Trusted Types are unsupported)
+ * @returns {TrustedTypePolicy|null} Policy
+ */
+function getPolicy() {
+  if (policy !== undefined) return policy;
+  policy = null;
+  if (window.trustedTypes?.createPolicy) {
+    try {
+      // Framework markup is escaped by html`` or sanitizeHTML() before it reaches a sink
+      policy = window.trustedTypes.createPolicy(POLICY_NAME, {
+        createHTML: (markup) => markup,
+        createScriptURL: (url) => url,
+      });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`could not create trusted types policy ${POLICY_NAME}`, error);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Markup for an HTML sink (TrustedHTML where supported).
+ * Internal to the framework sinks; not re-exported, so other code can't mint TrustedHTML
+ * from arbitrary strings.
+ * @param {string} markup - HTML produced by html``, sanitizeHTML() or trusted code
+ * @returns {TrustedHTML|string} Sink value
+ */
+export const trustedHTML = (markup) => {
+  const value = markup == null ? '' : String(markup);
+  return getPolicy()?.createHTML(value) ?? value;
+};
+
+/**
+ * URL for a script src sink (TrustedScriptURL where supported)
+ * @param {string} url - Script URL
+ * @returns {TrustedScriptURL|string} Sink value
+ */
+export const trustedScriptURL = (url) => getPolicy()?.createScriptURL(String(url)) ?? String(url);
+
+/**
+ * Replace an element's content with markup through the `behr` policy
+ * @param {Element} element - Target element
+ * @param {string} markup - HTML produced by html``, sanitizeHTML() or trusted code
+ */
+export function setHTML(element, markup) {
+  element.innerHTML = trustedHTML(markup);
+}
+
+/**
+ * Nonce of the page's own scripts, for scripts injected under strict-dynamic
+ * @returns {string} Nonce ('' when the page has none)
+ */
+export function pageNonce() {
+  return document.querySelector('script[nonce]')?.nonce || '';
+}
+
+/**
+ * Report Trusted Types violations, e.g. while `require-trusted-types-for 'script'`
+ * is rolled out in Content-Security-Policy-Report-Only
+ * @param {Function} report - ({ directive, sample, source, disposition }) => void
+ * @returns {Function} Stop listening
+ */
+export function onTrustedTypesViolation(report) {
+  const handler = (e) => {
+    if (!TRUSTED_TYPES_DIRECTIVES.has(e.effectiveDirective)) return;
+    report({
+      directive: e.effectiveDirective,
+      sample: e.sample,
+      source: e.sourceFile ? `${e.sourceFile}:${e.lineNumber}` : '',
+      disposition: e.disposition,
+    });
+  };
+  document.addEventListener('securitypolicyviolation', handler);
+  return () => document.removeEventListener('securitypolicyviolation', handler);
+}
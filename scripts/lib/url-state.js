@@ -0,0 +1,102 @@
+/**
+ * Behr EDS Framework - URL State
+ * @fileoverview Mirrors selected component state keys into the query string or hash
+ */
+
+const unmatched = new WeakMap();
+const unmatchedCounts = new Map();
+
+/**
+ * Instance namespace: element id, else component name (+ position for repeat instances).
+ * Elements the selector cannot find (mounted directly, or inside a shadow root) get their
+ * own per-name counter, kept per element so a re-mount restores the same keys.
+ */
+function namespaceFor(name, element) {
+  if (element.id) return element.id;
+  const peers = [...document.querySelectorAll(`[data-block-name="${name}"], [data-component="${name}"]`)];
+  const index = peers.indexOf(element);
+  if (index === -1) {
+    if (!unmatched.has(element)) {
+      const count = (unmatchedCounts.get(name) || 0) + 1;
+      unmatchedCounts.set(name, count);
+      unmatched.set(element, `${name}-x${count}`);
+    }
+    return unmatched.get(element);
+  }
+  return index > 0 ? `${name}-${index + 1}` : name;
+}
+
+const serialize = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * Parse a param back to the type of its default (strings and null defaults stay raw)
+ */
+const parse = (raw, fallback) => {
+  if (fallback == null || typeof fallback === 'string') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Bind component state keys to the URL
+ * @param {string} name - Component name
+ * @param {HTMLElement} element - Component element
+ * @param {string[]|Object} config - Keys, or { keys, mode, history, namespace }
+ *   (mode: 'query'|'hash', history: 'replace'|'push')
+ * @param {Object} defaults - Default state
+ * @returns {{ read: Function, write: Function, listen: Function }} URL state binding
+ */
+export default function createUrlState(name, element, config, defaults = {}) {
+  const {
+    keys = [],
+    mode = 'query',
+    history = 'replace',
+    namespace = namespaceFor(name, element),
+  } = Array.isArray(config) ? { keys: config } : config;
+
+  const param = (key) => `${namespace}.${key}`;
+  const getParams = () => new URLSearchParams(
+    mode === 'hash' ? window.location.hash.slice(1) : window.location.search,
+  );
+
+  return {
+    // State values for every bound key (defaults where the URL has none)
+    read() {
+      const params = getParams();
+      return Object.fromEntries(keys.map((key) => [
+        key,
+        params.has(param(key)) ? parse(params.get(param(key)), defaults[key]) : defaults[key],
+      ]));
+    },
+
+    // Reflect state into the URL; no history entry when nothing changed
+    write(state) {
+      const params = getParams();
+      keys.forEach((key) => {
+        const value = state[key];
+        if (value == null || value === '' || value === defaults[key]) params.delete(param(key));
+        else params.set(param(key), serialize(value));
+      });
+
+      const url = new URL(window.location.href);
+      const query = params.toString();
+      if (mode === 'hash') url.hash = query;
+      else url.search = query;
+      if (url.href === window.location.href) return;
+
+      if (history === 'push') window.history.pushState(window.history.state, '', url);
+      else window.history.replaceState(window.history.state, '', url);
+    },
+
+    // Call back with restored values on back/forward navigation
+    listen(callback) {
+      const type = mode === 'hash' ? 'hashchange' : 'popstate';
+      const handler = () => callback(this.read());
+      window.addEventListener(type, handler);
+      return () => window.removeEventListener(type, handler);
+    },
+  };
+}
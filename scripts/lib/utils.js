@@ -54,12 +54,29 @@ export const uid = (prefix = 'uid') => `${prefix}-${Math.random().toString(36).s
  * Debounce function execution
  * @param {Function} fn - Function to debounce
  * @param {number} ms - Delay in milliseconds
- * @returns {Function} Debounced function
+ * @returns {Function} Debounced function (`.cancel()` drops a pending call)
  */
 export const debounce = (fn, ms = 150) => {
   let id;
-  return (...args) => {
+  const debounced = (...args) => {
     clearTimeout(id);
     id = setTimeout(() => fn(...args), ms);
   };
+  debounced.cancel = () => clearTimeout(id);
+  return debounced;
+};
+
+/**
+ * Shallow equality: same value, or arrays/plain objects with identical entries
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are shallowly equal
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every((key) => Object.hasOwn(b, key) && Object.is(a[key], b[key]));
 };
@@ -0,0 +1,105 @@
+/**
+ * Behr EDS Framework - Validation
+ * @fileoverview Declarative field rules (required, email, pattern, length, range, custom async)
+ */
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validators = new Map();
+
+/**
+ * Register a named custom rule, referenced from field definitions as `validate: 'name'`
+ * @param {string} name - Rule name
+ * @param {Function} fn - (value, values) => error message, or nothing when valid (may be async)
+ */
+export function defineValidator(name, fn) {
+  validators.set(name, fn);
+}
+
+const isEmpty = (value) => value == null || value === '' || value === false
+  || (Array.isArray(value) && !value.length);
+
+// Numbers compare numerically; dates/times (ISO strings) lexically
+const compare = (value, limit) => {
+  const a = Number(value);
+  const b = Number(limit);
+  if (!Number.isNaN(a) && !Number.isNaN(b)) return a - b;
+  return String(value).localeCompare(String(limit));
+};
+
+/**
+ * Built-in rules in check order: [name, passes(value, setting), default message(setting)]
+ */
+const RULES = [
+  ['email', (v, on) => !on || EMAIL.test(v), () => 'Enter a valid email address'],
+  ['pattern', (v, re) => new RegExp(`^(?:${re})$`, 'u').test(v), () => 'Enter a value in the expected format'],
+  ['minLength', (v, n) => String(v).length >= n, (n) => `Enter at least ${n} characters`],
+  ['maxLength', (v, n) => String(v).length <= n, (n) => `Enter no more than ${n} characters`],
+  ['min', (v, n) => compare(v, n) >= 0, (n) => `Enter ${n} or more`],
+  ['max', (v, n) => compare(v, n) <= 0, (n) => `Enter ${n} or less`],
+];
+
+/**
+ * Validate a single value. Empty optional values skip every other rule.
+ * @param {*} value - Field value
+ * @param {Object} [rules] - { required, email, pattern, minLength, maxLength, min, max,
+ *   validate: fn | name | Array, messages: { [rule]: text, unavailable: text } }
+ * @param {Object} [values] - Every form value, for cross-field custom rules
+ * @returns {Promise<string|null>} First error message, or null when valid
+ */
+export async function validateValue(value, rules = {}, values = {}) {
+  const { messages = {} } = rules;
+  if (isEmpty(value)) return rules.required ? messages.required || 'This field is required' : null;
+
+  const failed = RULES.find(([name, passes]) => {
+    if (rules[name] == null || rules[name] === '') return false;
+    try {
+      return !passes(value, rules[name]);
+    } catch (error) {
+      // A broken rule (e.g. an invalid authored pattern) is skipped, not fatal
+      // eslint-disable-next-line no-console
+      console.warn(`invalid ${name} rule ${rules[name]}`, error);
+      return false;
+    }
+  });
+  if (failed) {
+    const [name, , message] = failed;
+    return messages[name] || message(rules[name]);
+  }
+
+  // Custom rules run in order and stop at the first error
+  const custom = [].concat(rules.validate ?? []);
+  return custom.reduce((previous, rule) => previous.then(async (error) => {
+    if (error) return error;
+    const fn = typeof rule === 'function' ? rule : validators.get(rule);
+    if (!fn) {
+      // eslint-disable-next-line no-console
+      console.warn(`unknown validator ${rule}`);
+      return null;
+    }
+    let result;
+    try {
+      result = await fn(value, values);
+    } catch (validationError) {
+      // e.g. a server-side check that can't be reached: report it on the field
+      // eslint-disable-next-line no-console
+      console.error('custom validator failed', validationError);
+      return messages.unavailable || 'This value could not be checked. Please try again.';
+    }
+    if (!result) return null;
+    return typeof result === 'string' ? result : messages.validate || 'Enter a valid value';
+  }), Promise.resolve(null));
+}
+
+/**
+ * Validate every field
+ * @param {Array<{ name: string, rules: Object }>} fields - Field definitions
+ * @param {Object} values - Values by field name
+ * @returns {Promise<Object>} Error messages by field name (empty when valid)
+ */
+export async function validateFields(fields, values) {
+  const results = await Promise.all(fields.map(async ({ name, rules }) => (
+    [name, await validateValue(values[name], rules, values)]
+  )));
+  return Object.fromEntries(results.filter(([, error]) => error));
+}
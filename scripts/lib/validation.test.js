@@ -0,0 +1,54 @@
+import {
+  describe, it, expect, vi, afterEach,
+} from 'vitest';
+import { validateValue, validateFields, defineValidator } from './validation.js';
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('validateValue', () => {
+  it('applies built-in rules in order', async () => {
+    expect(await validateValue('', { required: true })).toBe('This field is required');
+    expect(await validateValue('', { minLength: 3 })).toBeNull();
+    expect(await validateValue('a@b', { email: true })).toBe('Enter a valid email address');
+    expect(await validateValue('abc', { pattern: '[A-Z]{3}' }))
+      .toBe('Enter a value in the expected format');
+    expect(await validateValue('12', { min: 18 })).toBe('Enter 18 or more');
+    expect(await validateValue('ABC', { pattern: '[A-Z]{3}', maxLength: 3 })).toBeNull();
+  });
+
+  it('skips an invalid authored pattern instead of throwing', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await validateValue('abc', { pattern: '[' })).toBeNull();
+    expect(warn).toHaveBeenCalled();
+  });
+
+  it('turns a rejecting custom rule into a field error', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    defineValidator('offline', async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    expect(await validateValue('x', { validate: 'offline' }))
+      .toBe('This value could not be checked. Please try again.');
+    expect(await validateValue('x', { validate: 'offline', messages: { unavailable: 'Later' } }))
+      .toBe('Later');
+  });
+
+  it('runs custom rules in sequence until one fails', async () => {
+    const second = vi.fn();
+    const error = await validateValue('x', { validate: [() => 'first', second] });
+    expect(error).toBe('first');
+    expect(second).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateFields', () => {
+  it('collects errors by field name', async () => {
+    const fields = [
+      { name: 'email', rules: { required: true, email: true } },
+      { name: 'code', rules: { pattern: '[' } },
+    ];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await validateFields(fields, { email: '', code: 'x' }))
+      .toEqual({ email: 'This field is required' });
+  });
+});
@@ -9,8 +9,13 @@ import {
   decorateSections,
   decorateBlocks,
 } from './aem.js';
+import { initComponents, observeComponents } from './lib/component.js';
+import defineElement from './lib/custom-element.js';
+import { onTrustedTypesViolation } from './lib/trusted-types.js';
+import toast from './lib/toast.js';
 
 const LCP_BLOCKS = ['hero'];
+const CUSTOM_ELEMENTS = ['color-picker'];
 
 /**
  * Decorates the main element
@@ -44,6 +49,17 @@ async function loadLazy(doc) {
   const main = doc.querySelector('main');
   await loadBlocks(main);
 
+  // Authored [data-component] elements load their definitions on demand,
+  // including those injected later (header/footer, fragments, re-renders)
+  initComponents(main, { lazy: true });
+  observeComponents(document.body, { lazy: true });
+
+  // <behr-{name}> elements for markup we don't author (fragments, CMS snippets)
+  CUSTOM_ELEMENTS.forEach((name) => defineElement(name));
+
+  // Live regions must exist before the first toast for screen readers to announce it
+  toast.mount();
+
   const { hash } = window.location;
   if (hash) {
     const element = doc.getElementById(hash.substring(1));
@@ -68,6 +84,10 @@ function loadDelayed() {
 }
 
 async function loadPage() {
+  // Violations of the (report-only) Trusted Types CSP in head.html
+  onTrustedTypesViolation(({ directive, sample, source }) => {
+    sampleRUM('error', { source: `trusted-types:${directive}`, target: sample || source });
+  });
   await loadEager(document);
   await loadLazy(document);
   loadDelayed();
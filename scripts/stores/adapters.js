@@ -0,0 +1,134 @@
+/**
+ * Behr EDS Framework - Storage Adapters
+ * @fileoverview Where a Store persists its data (web storage, IndexedDB, cookie, memory)
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(key: string) => *} get - Stored value or null (may return a Promise)
+ * @property {(key: string, value: *) => void} set - Save a value (may return a Promise)
+ * @property {(key: string) => void} remove - Delete a value (may return a Promise)
+ * @property {boolean} shared - Whether other tabs see the same data (and should sync)
+ * @property {boolean} [storageEvents] - Whether other tabs hear writes as `storage` events
+ */
+
+/**
+ * JSON in localStorage or sessionStorage. The area is looked up on use: merely touching
+ * it throws where storage is blocked.
+ */
+const webStorage = (name) => ({
+  shared: name === 'localStorage',
+  storageEvents: name === 'localStorage',
+  get: (key) => JSON.parse(window[name].getItem(key)),
+  set: (key, value) => window[name].setItem(key, JSON.stringify(value)),
+  remove: (key) => window[name].removeItem(key),
+});
+
+/**
+ * localStorage (the default): survives restarts, shared by every tab
+ * @returns {StorageAdapter}
+ */
+export const localStorageAdapter = () => webStorage('localStorage');
+
+/**
+ * sessionStorage: private to the tab, cleared when it closes
+ * @returns {StorageAdapter}
+ */
+export const sessionStorageAdapter = () => webStorage('sessionStorage');
+
+/**
+ * IndexedDB: asynchronous and structured-clone based, so it holds large data and
+ * Blobs (e.g. uploaded room photos) that web storage can't
+ * @param {Object} [options]
+ * @param {string} [options.database] - Database name
+ * @param {string} [options.objectStore] - Object store holding one record per store key
+ * @returns {StorageAdapter}
+ */
+export function indexedDBAdapter({ database = 'behr-stores', objectStore = 'stores' } = {}) {
+  let connection;
+
+  const open = () => {
+    connection ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(database, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(objectStore);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((error) => {
+      connection = null; // Let the next call retry
+      throw error;
+    });
+    return connection;
+  };
+
+  // Run one request in its own transaction; resolves once the transaction commits
+  const request = async (mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(objectStore, mode);
+      const req = fn(tx.objectStore(objectStore));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  return {
+    shared: true,
+    get: async (key) => (await request('readonly', (store) => store.get(key))) ?? null,
+    set: (key, value) => request('readwrite', (store) => store.put(value, key)),
+    remove: (key) => request('readwrite', (store) => store.delete(key)),
+  };
+}
+
+/**
+ * In-memory: nothing outlives the page (tests, or storage the visitor declined)
+ * @param {Object} [entries] - Initial values by key
+ * @returns {StorageAdapter}
+ */
+export function memoryAdapter(entries = {}) {
+  const values = new Map(Object.entries(entries));
+  return {
+    shared: false,
+    // Copies, so callers can't mutate "stored" data in place
+    get: (key) => (values.has(key) ? structuredClone(values.get(key)) : null),
+    set: (key, value) => values.set(key, structuredClone(value)),
+    remove: (key) => values.delete(key),
+  };
+}
+
+// Browsers drop larger cookies (name, value and attributes together)
+const MAX_COOKIE_SIZE = 4096;
+
+/**
+ * Cookie: small data the server needs to read as well
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Lifetime in seconds (default one year)
+ * @param {string} [options.path] - Cookie path
+ * @param {string} [options.sameSite] - SameSite attribute
+ * @returns {StorageAdapter}
+ */
+export function cookieAdapter({ maxAge = 31536000, path = '/', sameSite = 'Lax' } = {}) {
+  const attributes = (age) => [
+    `max-age=${age}`,
+    `path=${path}`,
+    `samesite=${sameSite}`,
+    window.location.protocol === 'https:' ? 'secure' : '',
+  ].filter(Boolean).join('; ');
+
+  return {
+    shared: true,
+    get(key) {
+      const name = `${encodeURIComponent(key)}=`;
+      const cookie = document.cookie.split('; ').find((item) => item.startsWith(name));
+      return cookie ? JSON.parse(decodeURIComponent(cookie.slice(name.length))) : null;
+    },
+    set(key, value) {
+      const cookie = `${encodeURIComponent(key)}=${encodeURIComponent(JSON.stringify(value))}; ${attributes(maxAge)}`;
+      if (cookie.length > MAX_COOKIE_SIZE) throw new Error(`cookie ${key} exceeds ${MAX_COOKIE_SIZE} bytes`);
+      document.cookie = cookie;
+    },
+    remove(key) {
+      document.cookie = `${encodeURIComponent(key)}=; ${attributes(0)}`;
+    },
+  };
+}
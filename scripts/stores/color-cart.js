@@ -10,7 +10,13 @@ import Store from './store.js';
  */
 class ColorCartStore extends Store {
   constructor() {
-    super('behr-saved-colors', { colors: [], maxColors: 20 });
+    super('behr-saved-colors', { colors: [], maxColors: 20 }, {
+      version: 1,
+      schema: {
+        colors: (colors) => Array.isArray(colors) && colors.every((c) => typeof c?.hex === 'string'),
+        maxColors: 'number',
+      },
+    });
   }
 
   get colors() {
@@ -0,0 +1,73 @@
+/**
+ * Behr EDS Framework - Derived Stores
+ * @fileoverview Memoized read-only stores computed from other stores
+ */
+
+import { selectFrom } from './store.js';
+
+/**
+ * Read-only store combining other stores: combine([stateA, stateB, ...]) is recomputed only
+ * when an input state changes, and subscribers hear only results that differ (by `equals`).
+ * Sources are subscribed while the derived store has subscribers.
+ */
+class DerivedStore {
+  constructor(stores, combine, { equals = Object.is } = {}) {
+    this.stores = stores;
+    this.combine = combine;
+    this.equals = equals;
+    this.listeners = new Set();
+    this.unsubscribes = [];
+    this.inputs = null;
+    this.value = undefined;
+  }
+
+  get state() {
+    const inputs = this.stores.map((store) => store.state);
+    if (!this.inputs || inputs.some((input, i) => input !== this.inputs[i])) {
+      const next = this.combine(inputs);
+      // An equal result keeps the previous value, so its identity marks real changes
+      if (!this.inputs || !this.equals(next, this.value)) this.value = next;
+      this.inputs = inputs;
+    }
+    return this.value;
+  }
+
+  notify() {
+    this.listeners.forEach((fn) => fn(this.value));
+  }
+
+  subscribe(fn) {
+    if (!this.listeners.size) {
+      let current = this.state;
+      this.unsubscribes = this.stores.map((store) => store.subscribe(() => {
+        if (this.state === current) return;
+        current = this.value;
+        this.notify();
+      }));
+    }
+    this.listeners.add(fn);
+    fn(this.state); // Immediate callback with current state
+    return () => {
+      this.listeners.delete(fn);
+      if (this.listeners.size) return;
+      this.unsubscribes.forEach((unsub) => unsub());
+      this.unsubscribes = [];
+    };
+  }
+
+  select(selector, handler, options) {
+    return selectFrom(this, selector, handler, options);
+  }
+}
+
+/**
+ * Create a memoized derived store
+ * @example const summary = derived([colorCart, projects], ([cart, list]) => ({ ... }))
+ * @param {Array<Store|DerivedStore>} stores - Source stores
+ * @param {Function} combine - Array of source states => derived state
+ * @param {Object} [options] - { equals } comparison for results (default Object.is)
+ * @returns {DerivedStore} Store with state, subscribe and select
+ */
+export default function derived(stores, combine, options) {
+  return new DerivedStore(stores, combine, options);
+}
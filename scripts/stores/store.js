@@ -1,44 +1,191 @@
 /**
  * Behr EDS Framework - Base Store
- * @fileoverview Base reactive store with persistence
+ * @fileoverview Base reactive store with pluggable persistence, schema versioning and migrations
  */
 
+import { sampleRUM } from '../aem.js';
 import { debounce } from '../lib/utils.js';
+import { localStorageAdapter } from './adapters.js';
 
 /**
- * Base reactive store with persistence
+ * Check state against a schema: a predicate over the whole state, or
+ * { key: 'array' | 'object' | typeof name | predicate } checked per key
+ * @returns {string|null} Reason for the mismatch, or null when valid
+ */
+function schemaError(state, schema) {
+  if (!schema) return null;
+  if (typeof schema === 'function') return schema(state) ? null : 'schema check failed';
+  const mismatch = Object.entries(schema).find(([key, type]) => {
+    const value = state[key];
+    if (typeof type === 'function') return !type(value);
+    if (type === 'array') return !Array.isArray(value);
+    if (type === 'object') return value === null || typeof value !== 'object' || Array.isArray(value);
+    return typeof value !== type; // eslint-disable-line valid-typeof
+  });
+  return mismatch ? `${mismatch[0]} is not ${typeof mismatch[1] === 'function' ? 'valid' : mismatch[1]}` : null;
+}
+
+/**
+ * Subscribe to a slice of a store: handler(slice, previous) runs at once, then only when
+ * the selected value changes according to `equals`
+ * @returns {Function} Unsubscribe function
+ */
+export function selectFrom(source, selector, handler, { equals = Object.is } = {}) {
+  let current;
+  let selected = false;
+  return source.subscribe((state) => {
+    const next = selector(state);
+    if (selected && equals(next, current)) return;
+    const previous = current;
+    current = next;
+    selected = true;
+    handler(next, previous);
+  });
+}
+
+/**
+ * Base reactive store with persistence.
+ * Data lives wherever `storage` (an adapter from ./adapters.js) puts it; localStorage by
+ * default. Asynchronous adapters hydrate after construction: state starts at the defaults,
+ * subscribers are notified once stored data arrives, and `ready` resolves then.
+ * Stored data carries the store `version`; on hydrate, `migrations[n]` (state => state)
+ * upgrades it one version at a time, in order, and the result is checked against the
+ * optional `schema`. Data that can't be migrated is dropped in favour of the defaults.
+ * Unversioned data from before versioning counts as version 0.
  */
 export default class Store {
-  constructor(key, defaultState) {
+  constructor(key, defaultState, options = {}) {
+    const {
+      version = 1, migrations = {}, schema, storage = localStorageAdapter(),
+    } = options;
     this.key = key;
+    this.version = version;
+    this.migrations = migrations;
+    this.schema = schema;
+    this.storage = storage;
     this.listeners = new Set();
-    this.state = this.hydrate(defaultState);
-
-    // Cross-tab synchronization
-    this.channel = new BroadcastChannel(key);
-    this.channel.onmessage = (e) => {
-      this.state = e.data;
-      this.notify();
-    };
+    this.state = defaultState;
+    this.hydrated = false;
+    this.ready = this.hydrate(defaultState);
+    this.connect();
   }
 
+  /**
+   * Load stored data into state
+   * @returns {Promise} Resolves once hydrated (at once for synchronous adapters)
+   */
   hydrate(defaultState) {
+    const apply = (stored) => {
+      this.state = this.restore(stored, defaultState);
+      this.hydrated = true;
+    };
+
+    let stored;
     try {
-      const stored = localStorage.getItem(this.key);
-      return stored ? { ...defaultState, ...JSON.parse(stored) } : defaultState;
+      stored = this.storage.get(this.key);
     } catch {
-      return defaultState;
+      stored = null;
     }
+    if (typeof stored?.then !== 'function') {
+      apply(stored);
+      return Promise.resolve();
+    }
+    return stored.catch(() => null).then((value) => {
+      apply(value);
+      this.notify();
+    });
   }
 
-  persist = debounce(() => {
+  /**
+   * State from stored data: migrated, schema-checked and merged over the defaults
+   */
+  restore(stored, defaultState) {
+    if (!stored) return defaultState;
+
+    let state;
     try {
-      localStorage.setItem(this.key, JSON.stringify(this.state));
-      this.channel.postMessage(this.state);
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.warn('Store persist failed:', e);
+      state = { ...defaultState, ...this.migrate(stored) };
+      const invalid = schemaError(state, this.schema);
+      if (invalid) throw new Error(invalid);
+    } catch (error) {
+      sampleRUM('error', { source: `store:${this.key}`, target: `hydrate: ${error.message}` });
+      state = defaultState;
+    }
+
+    // Save upgraded data once, and drop data that couldn't be upgraded (if storage
+    // refuses, the hydrated state still applies for this page)
+    const ignore = () => {};
+    if (state === defaultState) this.access('remove').catch(ignore);
+    else if (stored.version !== this.version) {
+      this.access('set', { version: this.version, state }).catch(ignore);
     }
+    return state;
+  }
+
+  /**
+   * Upgrade stored data to the current version
+   * @param {Object} stored - { version, state }, or a bare state object saved before versioning
+   * @returns {Object} Migrated state
+   */
+  migrate(stored) {
+    const versioned = Number.isInteger(stored.version) && 'state' in stored;
+    const from = versioned ? stored.version : 0;
+    if (from > this.version) throw new Error(`stored version ${from} is newer than ${this.version}`);
+
+    let state = versioned ? stored.state : stored;
+    for (let version = from + 1; version <= this.version; version += 1) {
+      const migration = this.migrations[version];
+      if (migration) state = migration(state);
+      if (!state || typeof state !== 'object') throw new Error(`migration to ${version} returned no state`);
+    }
+    return state;
+  }
+
+  /**
+   * Call a storage adapter method for this key; sync or async, failures reject
+   * @returns {Promise}
+   */
+  access(method, ...args) {
+    return new Promise((resolve) => {
+      resolve(this.storage[method](this.key, ...args));
+    });
+  }
+
+  /**
+   * Cross-tab synchronization for shared storage: BroadcastChannel where available, else
+   * the `storage` event. Tabs on another version of the code ignore each other.
+   */
+  connect() {
+    if (!this.storage.shared) return;
+    const receive = (record) => {
+      if (record?.version !== this.version) return;
+      this.state = record.state;
+      this.notify();
+    };
+
+    if (typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(this.key);
+      this.channel.onmessage = (e) => receive(e.data);
+    } else if (this.storage.storageEvents) {
+      window.addEventListener('storage', (e) => {
+        if (e.key !== this.key || !e.newValue) return;
+        try {
+          receive(JSON.parse(e.newValue));
+        } catch {
+          // Not written by a store
+        }
+      });
+    }
+  }
+
+  persist = debounce(() => {
+    const record = { version: this.version, state: this.state };
+    this.access('set', record)
+      .then(() => this.channel?.postMessage(record))
+      .catch((e) => {
+        // eslint-disable-next-line no-console
+        console.warn('Store persist failed:', e);
+      });
   }, 100);
 
   notify() {
@@ -51,7 +198,23 @@ export default class Store {
     return () => this.listeners.delete(fn);
   }
 
+  /**
+   * Listen to a derived slice of state, e.g. store.select((s) => s.colors.length, render)
+   * @param {Function} selector - state => slice
+   * @param {Function} handler - (slice, previous) => void
+   * @param {Object} [options] - { equals } comparison (default Object.is; see shallowEqual)
+   * @returns {Function} Unsubscribe function
+   */
+  select(selector, handler, options) {
+    return selectFrom(this, selector, handler, options);
+  }
+
   update(updater) {
+    // Updates made before asynchronous storage has loaded apply on top of what it holds
+    if (!this.hydrated) {
+      this.ready.then(() => this.update(updater));
+      return;
+    }
     this.state = typeof updater === 'function' ? updater(this.state) : { ...this.state, ...updater };
     this.notify();
     this.persist();